@@ -0,0 +1,283 @@
+/*
+    MIT License
+    
+    Copyright (c) 2021 Nicolás Azuara Hernández (@nicolasazuara)
+    
+    Permission is hereby granted, free of charge, to any person obtaining a copy
+    of this software and associated documentation files (the "Software"), to deal
+    in the Software without restriction, including without limitation the rights
+    to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+    copies of the Software, and to permit persons to whom the Software is
+    furnished to do so, subject to the following conditions:
+    
+    The above copyright notice and this permission notice shall be included in all
+    copies or substantial portions of the Software.
+    
+    THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+    IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+    FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+    AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+    LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+    OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+    SOFTWARE.
+    
+    -------------------------------------------------------------------------------
+    
+    Pitch detection, without dependencies, so it can run:
+    -   On the page, as a plain script.
+    -   As a Web Worker, answering {buffer, sampleRate, algorithm} messages with {frequency, rms}.
+    -   On Node, required as a module, to check the algorithms against generated signals.
+    
+    Algorithms:
+    -   ACF2+: autocorrelation of the trimmed signal.
+    -   YIN: cumulative mean normalized difference function.
+    -   MPM: McLeod pitch method, normalized square difference function.
+*/
+
+let pitchAlgorithms = {                                 // Pitch detection algorithms, by name
+        acf2plus: pitchAcf2plus,
+        yin: pitchYin,
+        mpm: pitchMpm,
+    },
+    pitchSilence = 0.01;                                // Minimum signal RMS to detect a pitch
+
+// Class for the note stability of a pitch detection, so a note only changes when a new one is held for a while
+class PitchStabilizer {
+    
+    constructor(frames, tolerance, hold) {
+        this.note = null;                               // Stable MIDI note, or null without note
+        this.candidate = null;                          // MIDI note detected that may replace the stable note
+        this.count = 0;                                 // Consecutive detections of the candidate note
+        this.silence = 0;                               // Consecutive detections without pitch
+        this.frames = frames || 3;                      // Detections a candidate note needs to replace the stable note
+        this.tolerance = tolerance || 0.3;              // Semitones beyond the stable note half-step still considered the same note
+        this.hold = hold || 6;                          // Detections without pitch keeping the stable note
+    }
+    
+    // This method adds a detected frequency (or false without pitch), and returns the stable note
+    update(frequency) {
+        
+        // Keep the stable note through short silences
+        if(! frequency) {
+            this.silence++;
+            this.count = 0;
+            if(this.silence > this.hold) this.note = null;
+            return this.note;
+        }
+        this.silence = 0;
+        
+        // Stay on the stable note while the pitch is close enough to it
+        let pitch = 12 * Math.log2(frequency / 440) + 69;
+        if(this.note !== null && Math.abs(pitch - this.note) < 0.5 + this.tolerance) {
+            this.count = 0;
+            return this.note;
+        }
+        
+        // Replace the stable note by a candidate held long enough
+        let note = Math.round(pitch);
+        if(note === this.candidate) {
+            this.count++;
+        } else {
+            this.candidate = note;
+            this.count = 1;
+        }
+        if(this.count >= this.frames || this.note === null && this.count >= Math.ceil(this.frames / 2)) {
+            this.note = note;
+            this.count = 0;
+        }
+        return this.note;
+    }
+    
+    // This method forgets the stable note
+    reset() {
+        this.note = null;
+        this.candidate = null;
+        this.count = 0;
+        this.silence = 0;
+    }
+}
+
+// Detect the signal frequency with an algorithm (YIN by default), false if there's no pitch
+function pitchDetect(buffer, sampleRate, algorithm) {
+    if(pitchRms(buffer) < pitchSilence) return false;
+    return (pitchAlgorithms[algorithm] || pitchYin)(buffer, sampleRate);
+}
+
+// Root mean square of a signal
+function pitchRms(buffer) {
+    let rms = 0;
+    for(let i = 0; i < buffer.length; i++) {
+        rms += buffer[i] * buffer[i];
+    }
+    return Math.sqrt(rms / buffer.length);
+}
+
+// MIDI note number (69 is A4, at 440 Hz) closest to an audio frequency
+function frequencyNote(frequency) {
+    return Math.min(Math.max(Math.round(12 * Math.log2(frequency / 440)) + 69, 0), 127);
+}
+
+// Audio frequency of a MIDI note number
+function noteFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+// Position of a peak between samples, from the parabola through it and its neighbours
+function pitchInterpolate(values, i) {
+    if(i < 1 || i >= values.length - 1) return i;
+    let a = (values[i - 1] + values[i + 1] - 2 * values[i]) / 2,
+        b = (values[i + 1] - values[i - 1]) / 2;
+    return a ? i - b / (2 * a) : i;
+}
+
+// ACF2+ signal frequency detection method
+function pitchAcf2plus(buffer, sampleRate) {
+    
+    // Stop. Signal too short
+    if(pitchRms(buffer) < pitchSilence) return false;
+    
+    // Trimming the edges of the signal
+    let r1 = 0,
+        r1Found = false,
+        r2 = buffer.length - 1,
+        r2Found = false;
+    for(let i = 0; i < buffer.length / 2; i++) {
+        if(! r1Found && Math.abs(buffer[i]) < 0.2) {
+            r1 = i;
+            r1Found = true;
+        }
+        if(! r2Found && Math.abs(buffer[buffer.length - 1 - i]) < 0.2) {
+            r2 = buffer.length - 1 - i;
+            r2Found = true;
+        }
+        if(r1Found && r2Found) break;
+    }
+    buffer = buffer.subarray(r1, r2 + 1);
+    
+    // Autocorrelation
+    let c = new Float32Array(buffer.length);
+    for(let i = 0; i < buffer.length; i++) {
+        for(let j = 0; j < buffer.length - i; j++) {
+            c[i] += buffer[j] * buffer[j + i];
+        }
+    }
+    
+    // Find first dip and max peak
+    let d = 0,
+        maxVal = -1,
+        maxPos = -1;
+    while(d < c.length - 1 && c[d] > c[d + 1]) d++;
+    for(let i = d; i < c.length; i++) {
+        if(c[i] > maxVal) {
+            maxVal = c[i];
+            maxPos = i;
+        }
+    }
+    if(maxPos <= 0) return false;
+    
+    // Interpolation, and signal frequency
+    return sampleRate / pitchInterpolate(c, maxPos);
+}
+
+// YIN signal frequency detection method
+function pitchYin(buffer, sampleRate, threshold) {
+    threshold = threshold || 0.1;
+    
+    // Stop. Signal too short
+    if(pitchRms(buffer) < pitchSilence) return false;
+    
+    // Difference function, for lags up to half the signal
+    let half = Math.floor(buffer.length / 2),
+        d = new Float32Array(half);
+    for(let tau = 1; tau < half; tau++) {
+        for(let i = 0; i < half; i++) {
+            let delta = buffer[i] - buffer[i + tau];
+            d[tau] += delta * delta;
+        }
+    }
+    
+    // Cumulative mean normalized difference
+    let sum = 0;
+    d[0] = 1;
+    for(let tau = 1; tau < half; tau++) {
+        sum += d[tau];
+        d[tau] = sum ? d[tau] * tau / sum : 1;
+    }
+    
+    // First lag under the threshold, moved to its local minimum
+    for(let tau = 2; tau < half; tau++) {
+        if(d[tau] < threshold) {
+            while(tau + 1 < half && d[tau + 1] < d[tau]) tau++;
+            return sampleRate / pitchInterpolate(d, tau);
+        }
+    }
+    return false;
+}
+
+// McLeod pitch method (MPM) signal frequency detection method
+function pitchMpm(buffer, sampleRate, cutoff) {
+    cutoff = cutoff || 0.9;
+    
+    // Stop. Signal too short
+    if(pitchRms(buffer) < pitchSilence) return false;
+    
+    // Normalized square difference function, for lags up to half the signal
+    let half = Math.floor(buffer.length / 2),
+        nsdf = new Float32Array(half);
+    for(let tau = 0; tau < half; tau++) {
+        let acf = 0,
+            m = 0;
+        for(let i = 0; i < buffer.length - tau; i++) {
+            acf += buffer[i] * buffer[i + tau];
+            m += buffer[i] * buffer[i] + buffer[i + tau] * buffer[i + tau];
+        }
+        nsdf[tau] = m ? 2 * acf / m : 0;
+    }
+    
+    // Key maxima: the highest peak between each positive zero crossing and the next negative one
+    let peaks = [],
+        tau = 0;
+    while(tau < half && nsdf[tau] > 0) tau++;
+    while(tau < half) {
+        while(tau < half && nsdf[tau] <= 0) tau++;
+        let peak = -1;
+        while(tau < half && nsdf[tau] > 0) {
+            if(peak < 0 || nsdf[tau] > nsdf[peak]) peak = tau;
+            tau++;
+        }
+        if(peak > 0) peaks.push(peak);
+    }
+    if(peaks.length === 0) return false;
+    
+    // The first key maximum close enough to the highest one
+    let highest = 0;
+    for(let i = 0; i < peaks.length; i++) {
+        highest = Math.max(highest, nsdf[peaks[i]]);
+    }
+    for(let i = 0; i < peaks.length; i++) {
+        if(nsdf[peaks[i]] >= cutoff * highest) return sampleRate / pitchInterpolate(nsdf, peaks[i]);
+    }
+    return false;
+}
+
+// Running as a Web Worker, detect the pitch of each signal received
+if(typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.onmessage = function(event) {
+        self.postMessage({
+            frequency: pitchDetect(event.data.buffer, event.data.sampleRate, event.data.algorithm),
+            rms: pitchRms(event.data.buffer),
+        });
+    };
+}
+
+// Running on Node, export the pitch detection
+if(typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PitchStabilizer: PitchStabilizer,
+        pitchAlgorithms: pitchAlgorithms,
+        pitchDetect: pitchDetect,
+        pitchRms: pitchRms,
+        frequencyNote: frequencyNote,
+        noteFrequency: noteFrequency,
+    };
+}
\ No newline at end of file
@@ -31,16 +31,92 @@
     Requirements:
     -   Webcam (optional)
     -   Microphone (optional)
+    -   MIDI keyboard (optional)
     
     Notes:
     -   The canvas must be mirrored when using camera as input.
     -   A background color is required for color blending.
-    -   Canvas resizing is too much of a hassle.
     -   Mobile cam implementation is buggy
 */
 
 let drawFrameRate = 30,                                 // Shared frame rate between video and canvas
     brushRadius = 32,                                   // Radius of the brush used for painting
+    brushPreset = 'watercolor',                         // Brush preset used for painting
+    brushPresets = {                                    // Brush presets: paint layers, deform passes, distortion jitter (relative to the radius) and opacity (out of 255) ranges, and edge darkening
+        watercolor: {
+            name: 'Watercolor',
+            icon: 'fa-brush',
+            layers: [8, 32],
+            deforms: [0, 8],
+            jitter: 1,
+            alpha: [1, 2],
+            edges: 1,
+        },
+        wash: {
+            name: 'Flat wash',
+            icon: 'fa-fill',
+            layers: [24, 40],
+            deforms: [3, 5],
+            jitter: 0.4,
+            alpha: [1, 2],
+            edges: 0.5,
+        },
+        dry: {                                          // Bristle marks: drops scattered around the position, relative to the radius
+            name: 'Dry brush',
+            icon: 'fa-broom',
+            layers: [3, 6],
+            deforms: [4, 6],
+            jitter: 0.5,
+            alpha: [4, 8],
+            edges: 0.5,
+            drops: 7,
+            spread: 1,
+            scale: 0.35,
+        },
+        splatter: {
+            name: 'Splatter',
+            icon: 'fa-spray-can',
+            layers: [3, 6],
+            deforms: [2, 4],
+            jitter: 0.6,
+            alpha: [6, 12],
+            edges: 1,
+            drops: 12,
+            spread: 2.5,
+            scale: 0.12,
+        },
+        salt: {                                         // Salt crystals: pale specks absorbing the pigment
+            name: 'Salt texture',
+            icon: 'fa-snowflake',
+            layers: [8, 24],
+            deforms: [2, 6],
+            jitter: 1,
+            alpha: [1, 3],
+            edges: 1,
+            salt: 10,
+        },
+        glazing: {
+            name: 'Glazing',
+            icon: 'fa-clone',
+            layers: [6, 10],
+            deforms: [5, 7],
+            jitter: 0.3,
+            alpha: [1, 1],
+            edges: 0,
+        },
+        lifting: {                                      // Lifting: removes the pigment instead of adding it
+            name: 'Lifting',
+            icon: 'fa-eraser',
+            layers: [6, 12],
+            deforms: [2, 5],
+            jitter: 0.8,
+            alpha: [3, 6],
+            edges: 0,
+            lift: true,
+        },
+    },
+    buttonBrush,                                        // Brush presets panel toggle button
+    brushPanel,                                         // Brush presets panel
     colors = [                                          // Color palette, representing music notes
         '#ff0000',                                      // Red
         '#ff8000',                                      // Red + yellow
@@ -57,6 +133,48 @@ let drawFrameRate = 30,                                 // Shared frame rate bet
         '#ffffff',                                      // White
         '#000000',                                      // Black
     ],
+    colorNames = [                                      // Names of the palette colors
+        'Red',
+        'Orange',
+        'Yellow',
+        'Chartreuse',
+        'Green',
+        'Spring green',
+        'Cyan',
+        'Azure',
+        'Blue',
+        'Violet',
+        'Magenta',
+        'Rose',
+        'White',
+        'Black',
+    ],
+    palettePresets = {                                  // Named palettes that can replace the color palette
+        'Rainbow': {
+            colors: colors.slice(),
+            names: colorNames.slice(),
+        },
+        'Earth tones': {
+            colors: ['#e3a857', '#c9a15b', '#b5651d', '#8a3324', '#6f4e37', '#826644', '#4b3621', '#738276', '#556b2f', '#3b3c36', '#f3e5ab', '#1c1a17'],
+            names: ['Yellow ochre', 'Raw sienna', 'Light red', 'Burnt sienna', 'Van Dyke brown', 'Raw umber', 'Burnt umber', 'Green earth', 'Olive green', 'Payne\'s grey', 'Naples yellow', 'Ivory black'],
+        },
+        'Classic pigments': {
+            colors: ['#fff44f', '#ffd300', '#ff8c00', '#e30022', '#c41e3a', '#9e0142', '#b57edc', '#1c39bb', '#003153', '#0f52ba', '#40826d', '#00a86b', '#ffffff', '#1c1a17'],
+            names: ['Lemon yellow', 'Cadmium yellow', 'Cadmium orange', 'Cadmium red', 'Alizarin crimson', 'Quinacridone rose', 'Cobalt violet', 'Ultramarine', 'Prussian blue', 'Cobalt blue', 'Viridian', 'Phthalo green', 'Chinese white', 'Ivory black'],
+        },
+        'Pastel': {
+            colors: ['#ffb3ba', '#ffdfba', '#ffffba', '#baffc9', '#bae1ff', '#d7baff', '#ffbaf2', '#ffffff'],
+            names: ['Pastel red', 'Pastel orange', 'Pastel yellow', 'Pastel green', 'Pastel blue', 'Pastel violet', 'Pastel pink', 'White'],
+        },
+        'Grayscale': {
+            colors: ['#000000', '#333333', '#666666', '#999999', '#cccccc', '#ffffff'],
+            names: ['Black', 'Dark grey', 'Grey', 'Medium grey', 'Light grey', 'White'],
+        },
+    },
+    paletteBar,                                         // Color palette container, at the bottom of the page
+    palettePanel,                                       // Palette editor panel container
+    paletteInput,                                       // Hidden file input used to import palettes
+    buttonPalette,                                      // Palette editor panel toggle button
     notes = [
         4,                                              // C
         5,                                              // C#
@@ -72,19 +190,212 @@ let drawFrameRate = 30,                                 // Shared frame rate bet
         3,                                              // B
     ],
     tracking = false,                                   // Pose tracking status, disabled by default
-    trackingBodyParts = {                               // Body parts to be tracked on video
-        leftWrist: true,
-        rightWrist: true,
-        leftAnkle: true,
-        rightAngle: true,
+    trackingKeypoints = [                               // PoseNet keypoints that can be tracked on video
+        'nose',
+        'leftEye',
+        'rightEye',
+        'leftEar',
+        'rightEar',
+        'leftShoulder',
+        'rightShoulder',
+        'leftElbow',
+        'rightElbow',
+        'leftWrist',
+        'rightWrist',
+        'leftHip',
+        'rightHip',
+        'leftKnee',
+        'rightKnee',
+        'leftAnkle',
+        'rightAnkle',
+    ],
+    trackingBodyParts = {                               // Body parts tracked on video, with their brush settings
+        leftWrist: trackingBodyPart(true),
+        rightWrist: trackingBodyPart(true),
+        leftAnkle: trackingBodyPart(true),
+        rightAnkle: trackingBodyPart(true),
     },
     trackingConfidence = 0.6,                           // Minimum confidence on the tracked body parts
+    trackingRegion = {                                  // Region of the camera frame mapped onto the full canvas, relative to the frame size
+        x: 0,
+        y: 0,
+        w: 1,
+        h: 1,
+    },
+    trackingSkeleton = [                                // Pairs of keypoints joined on the calibration overlay
+        ['nose', 'leftEye'],
+        ['nose', 'rightEye'],
+        ['leftEye', 'leftEar'],
+        ['rightEye', 'rightEar'],
+        ['leftShoulder', 'rightShoulder'],
+        ['leftShoulder', 'leftElbow'],
+        ['leftElbow', 'leftWrist'],
+        ['rightShoulder', 'rightElbow'],
+        ['rightElbow', 'rightWrist'],
+        ['leftShoulder', 'leftHip'],
+        ['rightShoulder', 'rightHip'],
+        ['leftHip', 'rightHip'],
+        ['leftHip', 'leftKnee'],
+        ['leftKnee', 'leftAnkle'],
+        ['rightHip', 'rightKnee'],
+        ['rightKnee', 'rightAnkle'],
+    ],
+    calibrating = false,                                // Calibration overlay status: camera image, skeleton, confidence and tracked region
+    trackingPainting = true,                            // Whether the tracked body parts paint, toggled by a gesture
+    gesturesEnabled = true,                             // Whether the pose gestures trigger commands
+    gestureNames = {                                    // Pose gestures that can be recognized
+        handsUp: 'Both hands raised',
+        leftHandUp: 'Left hand raised',
+        rightHandUp: 'Right hand raised',
+        armsSpread: 'Arms spread',
+        wristsCrossed: 'Wrists crossed',
+    },
+    gestureCommands = {                                 // Commands that the pose gestures can trigger
+        none: 'Nothing',
+        reset: 'Reset canvas',
+        download: 'Download',
+        painting: 'Painting on/off',
+        undo: 'Undo',
+        redo: 'Redo',
+        save: 'Save to gallery',
+    },
+    gestureActions = {                                  // Command triggered by each pose gesture
+        handsUp: 'reset',
+        leftHandUp: 'none',
+        rightHandUp: 'none',
+        armsSpread: 'download',
+        wristsCrossed: 'painting',
+    },
+    gestureDwell = 2,                                   // Seconds a gesture must be held to trigger its command
+    gesturePalette = true,                              // Whether a hand dwelling over the palette selects a color
+    gesturePaletteDwell = 1,                            // Seconds a hand must dwell over a palette color to select it
+    gesturePaletteZone = 0.1,                           // Bottom part of the painting showing the palette while tracking, where hands select colors
+    gestureHold = 0.5,                                  // Seconds a gesture must be held before the person stops painting, so passing through a pose doesn't cut strokes
+    gestureResetCountdown = 3,                          // Seconds counted down over the person after the reset gesture is held, before the canvas is reset
+    gestureStates = {},                                 // Gesture in progress of each tracked person: gesture, start time and whether it was triggered
+    calibrationDrag,                                    // Corner where the tracked region drag started on the calibration overlay
+    trackingPersonColors = true,                        // Give each tracked person their own color and brush size
+    persons = [],                                       // People in front of the camera, with a stable identity across poses
+    personsCount = 0,                                   // Total of people identified, used for person ids
+    personTimeout = 1000,                               // Milliseconds a person is kept after leaving the frame
+    personsBar,                                         // Container showing each person color, near the palette
+    trackingPanel,                                      // Pose tracking settings panel container
+    buttonTrackingSettings,                             // Pose tracking settings panel toggle button
+    noteNames = [                                       // Names of the music notes, from C
+        'C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B',
+    ],
     listening = false,                                  // Sound notes detection status, disabled by default
+    music = {                                           // Musical mode settings
+        octaves: true,                                  // Higher octaves paint lighter colors, lower octaves darker ones
+        amplitude: 'size',                              // What the loudness (or MIDI velocity) changes: 'none', 'size' or 'opacity'
+        chords: false,                                  // Detect several notes at once, painting with each of their colors
+        pitch: 'yin',                                   // Pitch detection algorithm, one of pitchAlgorithms
+        midiStrokes: true,                              // MIDI notes paint strokes, not only pick colors
+    },
+    musicLevel = 1,                                     // Brush size or opacity factor from the loudness while listening
+    musicChord = [],                                    // Colors of the notes detected at once
+    brushShade = null,                                  // Brush color shaded from a palette color (by the note octave), with the palette index
+    musicPanel,                                         // Musical mode settings panel container
+    buttonMusicSettings,                                // Musical mode settings panel toggle button
+    midi = false,                                       // MIDI keyboard input status, disabled by default
+    midiAccess,                                         // Web MIDI access to the connected MIDI inputs
+    midiNotes = [],                                     // MIDI notes received, waiting to be painted on the next frame
+    generative = false,                                 // Audio-reactive generative painting status, disabled by default
+    generativePresets = {                               // Generative painting presets: onset sensitivity and minimum frames between onsets,
+                                                        // brush radius and paint load ranges driven by the energy, strokes and scatter on each onset,
+                                                        // energy keeping a flowing stroke, drift of the position and color source
+        calm: {
+            sensitivity: 2.5,
+            gap: 20,
+            radius: [24, 64],
+            load: [0.3, 0.8],
+            burst: 1,
+            scatter: 0.05,
+            flow: 0.45,
+            drift: 0.02,
+            color: 'brush',
+        },
+        pulse: {
+            sensitivity: 1.6,
+            gap: 8,
+            radius: [16, 48],
+            load: [0.5, 1.2],
+            burst: 3,
+            scatter: 0.1,
+            flow: 1,
+            drift: 0.05,
+            color: 'spectrum',
+        },
+        storm: {
+            sensitivity: 1.3,
+            gap: 3,
+            radius: [8, 32],
+            load: [0.4, 1],
+            burst: 6,
+            scatter: 0.25,
+            flow: 0.3,
+            drift: 0.1,
+            color: 'spectrum',
+        },
+    },
+    generativePreset = 'pulse',                         // Generative painting preset in use
+    generativeState,                                    // Generative painting state: position, previous spectrum, spectral flux history and last onset
+    generativePanel,                                    // Generative painting settings panel container
+    buttonGenerative,                                   // Generative painting button
+    buttonGenerativeSettings,                           // Generative painting settings panel toggle button
+    audioFileInput,                                     // Hidden file input used to load audio files
+    audioElement,                                       // Audio file player, feeding the audio nodes instead of the microphone
+    audioStream,                                        // Microphone stream, kept open while the microphone is the audio input
+    audioStreamSource,                                  // Audio node of the microphone stream
     video,                                              // Video container
     audio,                                              // Audio context
+    audioInput,                                         // Audio node (microphone or audio file) connected to the audio analysers
     audioAnalyser,                                      // An audio node able to provide real-time frequency information
-    poseNet,                                            // Machine learning model that allows for Real-time human pose detection
-    poses = [],                                         // Array of poses detected from poseNet
+    audioChordAnalyser,                                 // An audio node with a finer frequency resolution, for chords detection
+    audioBuffer,                                        // Signal from the audio node, reused on every frame
+    pitchWorker,                                        // Web Worker detecting the pitch off the render loop (null if unavailable)
+    pitchWorkerBusy = false,                            // Whether the pitch worker is still detecting the previous signal
+    pitchStabilizer = new PitchStabilizer(),            // Note stability of the pitch detection, so the brush color doesn't flicker
+    listeningNote = null,                               // Stable note detected from the microphone, or null without note
+    poseProviders = {                                   // Pose detectors that can be used for pose tracking
+        posenet: 'PoseNet (ml5.js)',
+        movenet: 'MoveNet',
+        blazepose: 'BlazePose',
+        mock: 'Mock (no camera)',
+    },
+    poseDetectionScripts = [                            // Scripts of the TensorFlow.js pose detection models (with their integrity hashes), loaded only when used
+        {
+            src: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-core@3.8.0/dist/tf-core.min.js',
+            integrity: 'sha256-um/ZHjw8oEi/KdHHqEz2RQdaT46jubNTU1I+ewiBS/M=',
+        },
+        {
+            src: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-converter@3.8.0/dist/tf-converter.min.js',
+            integrity: 'sha256-UnLYpI0rU4fNJE8wJHQHmJ0FrquXp3GH9n98a35gOsY=',
+        },
+        {
+            src: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-webgl@3.8.0/dist/tf-backend-webgl.min.js',
+            integrity: 'sha256-t0pyLosr+MRUSVevdpkFheWH6KM8FQrMEZBSZptV8xo=',
+        },
+        {
+            src: 'https://cdn.jsdelivr.net/npm/@tensorflow-models/pose-detection@0.0.6/dist/pose-detection.min.js',
+            integrity: 'sha256-98jJ5q5rIDiBtQ5ZpsG2+8jE5HO5Lj5/NYhuZL45GIw=',
+        },
+    ],
+    scriptLoads = {},                                   // Loading of each script added to the page, by address
+    poseProvider,                                       // Pose detector in use, allowing for real-time human pose detection
+    trackingProvider = 'posenet',                       // Pose detector chosen, one of poseProviders
+    poseDetecting = false,                              // Whether the pose detection of a video frame is in progress
+    poses = [],                                         // Array of poses detected, in the PoseNet format
+    poseSource,                                         // Pose source in use: camera, video file or keypoint recording
+    poseCapture = [],                                   // Keypoints of the poses detected, by time, to be saved as a keypoint recording
+    poseCaptureStart,                                   // Milliseconds when the keypoint capture started
+    poseCaptureMax = 18000,                             // Maximum of pose frames captured (10 minutes at 30 frames per second)
+    poseVideoInput,                                     // Hidden file input used to load video files
+    poseKeypointsInput,                                 // Hidden file input used to load keypoint recordings
+    poseControls,                                       // Play/pause and seek controls of the video file or keypoint recording
+    posePlayButton,                                     // Play/pause button of the pose source controls
+    poseSeekSlider,                                     // Seek slider of the pose source controls
+    poseTimeLabel,                                      // Time label of the pose source controls
     brushColor,                                         // Color of the brush used for painting
     picker,                                             // Color picker indicator
     buttonIncreaseBrushSize,                            // Increase brush size button
@@ -93,20 +404,169 @@ let drawFrameRate = 30,                                 // Shared frame rate bet
     buttonListening,                                    // Sound notes detection button
     buttonDownload,                                     // Download canvas button
     buttonReset,                                        // Reset canvas button
+    buttonUndo,                                         // Undo last painting action button
+    buttonRedo,                                         // Redo last undone painting action button
+    paintHistory,                                       // Undo/redo history of painting actions
+    historyLevels = 12,                                 // Maximum of painting actions that can be undone
+    historyMemory = 256 * 1024 * 1024,                  // Maximum of bytes held by the undo checkpoints, fewer actions can be undone on large canvases
+    buttonRecordingSave,                                // Save stroke recording button
+    buttonRecordingReplay,                              // Replay stroke recording button
+    recordingInput,                                     // Hidden file input used to load stroke recordings
+    recording,                                          // Recording of the painting session (random seed and input events)
+    recordingMax = 100000,                              // Maximum of events recorded (about 15 MB), the recording stops there so long sessions don't run out of memory
+    replay = null,                                      // Stroke recording being replayed, if any
+    replayTimelapse = false,                            // Replay the next stroke recording as a time-lapse
+    replayTimelapseSpeed = 8,                           // Replay speed multiplier for time-lapse replays
+    paperColor = '#ffffff',                             // Color of the paper under the painting layers
+    paperTextures = {                                   // Procedural paper textures: noise scale, grain contrast and shading strength
+        'none': null,
+        'hot-press': {
+            scale: 0.25,
+            contrast: 1.5,
+            strength: 0.04,
+        },
+        'cold-press': {
+            scale: 0.09,
+            contrast: 2,
+            strength: 0.1,
+        },
+        'rough': {
+            scale: 0.04,
+            contrast: 2.5,
+            strength: 0.18,
+        },
+    },
+    paper = {                                           // Paper settings
+        texture: 'cold-press',                          // Paper texture, one of paperTextures
+        granulation: 0.5,                               // How much pigment settles in the paper grain valleys, from 0 to 1
+        edges: 0.3,                                     // How much pigment darkens the edges of the strokes, from 0 to 1
+    },
+    paperTiles = {},                                    // Generated paper texture tiles, by texture and noise seed
+    paperCache = null,                                  // Paper drawn once with its texture, reused while the paper and its size don't change
+    paperEdgeAlpha = 40,                                // Opacity (out of 255) of the darker stroke edges at full strength
+    paperPanel,                                         // Paper settings panel container
+    buttonPaper,                                        // Paper settings panel toggle button
+    pigmentMixing = false,                              // Mix overlapping paint as pigments (subtractive) instead of RGB alpha stacking
+    pigmentSpectra = [                                  // Reflectance spectra (10 bands, 380 to 720 nm) used to turn RGB colors into pigments
+        [1.0000, 1.0000, 0.9999, 0.9993, 0.9992, 0.9998, 1.0000, 1.0000, 1.0000, 1.0000],     // White
+        [0.9710, 0.9426, 1.0007, 1.0007, 1.0007, 1.0007, 0.1564, 0.0000, 0.0000, 0.0000],     // Cyan
+        [1.0000, 1.0000, 0.9685, 0.2229, 0.0000, 0.0458, 0.8369, 1.0000, 1.0000, 0.9959],     // Magenta
+        [0.0001, 0.0000, 0.1088, 0.6651, 1.0000, 1.0000, 0.9996, 0.9586, 0.9685, 0.9840],     // Yellow
+        [0.1012, 0.0515, 0.0000, 0.0000, 0.0000, 0.0000, 0.8325, 1.0149, 1.0149, 1.0149],     // Red
+        [0.0000, 0.0000, 0.0273, 0.7937, 1.0000, 0.9418, 0.1719, 0.0000, 0.0000, 0.0025],     // Green
+        [1.0000, 1.0000, 0.8916, 0.3323, 0.0000, 0.0000, 0.0003, 0.0369, 0.0483, 0.0496],     // Blue
+    ],
+    pigmentWeights = [                                  // Weights of each spectrum band for linear red, green and blue
+        [-0.0433, -0.0222, 0.0847, -0.1072, -0.0021, 0.0457, 0.2591, 0.2701, 0.2590, 0.2541],
+        [-0.0431, -0.0492, 0.0074, 0.2684, 0.4020, 0.3973, 0.0620, -0.0156, -0.0156, -0.0125],
+        [0.2864, 0.3539, 0.3965, 0.0243, -0.0326, 0.0026, 0.0106, -0.0175, -0.0144, -0.0124],
+    ],
+    pigmentBuffers = [],                                // Offscreen canvas contexts read while mixing pigments: stroke coverage and paint under it
+    pigmentQueue = [],                                  // Strokes painted as pigments during the frame, mixed together once per buffer when flushed
+    pigmentKsColors = [],                               // Absorption/scattering ratios of the colors under the strokes, by color with 5 bits per channel
+    pigmentLevels = 64,                                 // Concentrations of the stroke pigment mixed once with each color under it, the others interpolated
+    pigmentTables = new Map(),                          // Mixes of the last stroke colors with every color under them, by stroke color
+    pigmentTablesMax = 4,                               // Maximum of stroke colors kept mixed (8 MB each)
+    pigmentGamma = null,                                // sRGB values (0 to 255) of 4096 linear values, as mixes are turned back into RGB often
+    buttonPigment,                                      // Pigment mixing button
+    layers = [],                                        // Painting layers, from bottom to top
+    layersCount = 0,                                    // Total of layers created, used for layer ids and names
+    activeLayer,                                        // Layer where paint lands
+    layerBlendModes = {                                 // Blend modes available for layers
+        normal: 'source-over',
+        multiply: 'multiply',
+        screen: 'screen',
+    },
+    layerPanel,                                         // Layer panel container
+    buttonLayers,                                       // Layer panel toggle button
+    wet = false,                                        // Wet-on-wet simulation status, disabled by default
+    wetness = 0.5,                                      // How much wet strokes spread and mix, from 0 to 1
+    dryingTime = 4,                                     // Seconds a stroke stays wet
+    wetStrokes = [],                                    // Strokes still wet, from oldest to newest
+    wetStrokesLimit = 240,                              // Maximum of wet strokes, older ones dry first
+    wetBleeds = 3,                                      // Times a wet stroke bleeds before drying
+    wetBudget = 12,                                     // Maximum of wet strokes processed per frame, to keep the frame rate
+    wetPanel,                                           // Wet-on-wet settings panel container
+    buttonWet,                                          // Wet-on-wet simulation button
+    exportFormats = {                                   // Image formats available for export
+        png: 'image/png',
+        jpg: 'image/jpeg',
+        webp: 'image/webp',
+    },
+    exportFormat = 'png',                               // Image format used to download the canvas
+    exportScale = 1,                                    // Scale factor used to download the canvas, re-rendering the recorded strokes
+    exportTransparent = false,                          // Download the canvas without paper (PNG and WebP)
+    exportPanel,                                        // Export dialog container
+    projectInput,                                       // Hidden file input used to open project files
+    gallery,                                            // IndexedDB database where paintings are saved
+    painting,                                           // Painting in progress (gallery id, name, creation date and unsaved changes)
+    autosaveInterval = 60,                              // Seconds between autosaves of the painting in progress
+    galleryEventsMax = 20000,                           // Maximum of recorded events saved with a painting in the gallery (about 3 MB), longer recordings are left out
+    galleryPanel,                                       // Gallery panel container
+    buttonGallery,                                      // Gallery panel toggle button
     spacing = window.innerWidth / (colors.length),      // Separation between colors in palette
-    lastMouse = {                                       // Save last mouse location inside canvas if pressed
-        x: 0,
-        y: 0,
-    };
+    paletteTop,                                         // Vertical position of the color palette, under the canvas (and the toolbar in portrait)
+    paintingWidth,                                      // Width of the painting, kept when the canvas is resized
+    paintingHeight,                                     // Height of the painting, kept when the canvas is resized
+    viewScale = 1,                                      // Scale of the painting shown on the canvas, letterboxed to fit
+    viewX = 0,                                          // Horizontal position of the painting shown on the canvas
+    viewY = 0,                                          // Vertical position of the painting shown on the canvas
+    shortcuts = [                                       // Keyboard shortcuts: key (with Ctrl and Shift), label shown, description and action
+        {key: '[', label: '[', description: 'Decrease brush size', action: decreaseBrushSize},
+        {key: ']', label: ']', description: 'Increase brush size', action: increaseBrushSize},
+        {key: 'b', label: 'B', description: 'Brush presets', action: brushPanelToggle},
+        {key: 'ArrowLeft', label: '←', description: 'Previous palette color', action: function() { colorStep(-1); }},
+        {key: 'ArrowRight', label: '→', description: 'Next palette color', action: function() { colorStep(1); }},
+        {key: 'Ctrl+z', label: 'Ctrl+Z', description: 'Undo', action: canvasUndo},
+        {key: 'Ctrl+Shift+z', label: 'Ctrl+Shift+Z', description: 'Redo', action: canvasRedo},
+        {key: 'Ctrl+y', label: 'Ctrl+Y', description: 'Redo', action: canvasRedo},
+        {key: 'Ctrl+s', label: 'Ctrl+S', description: 'Save in the gallery', action: function() { paintingSave(function() { announce('Saved in the gallery'); }); }},
+        {key: 'Ctrl+c', label: 'Ctrl+C', description: 'Copy the painting', action: canvasCopy},
+        {key: 'r', label: 'R', description: 'Reset canvas', action: canvasResetConfirm},
+        {key: 'd', label: 'D', description: 'Download the painting', action: canvasDownload},
+        {key: 'e', label: 'E', description: 'Export', action: exportPanelToggle},
+        {key: 't', label: 'T', description: 'Pose tracking on/off', action: trackingToggle},
+        {key: 'c', label: 'C', description: 'Pose tracking calibration', action: calibrationToggle},
+        {key: 'm', label: 'M', description: 'Sound notes detection on/off', action: listeningToggle},
+        {key: 'n', label: 'N', description: 'Audio-reactive generative painting on/off', action: generativeToggle},
+        {key: 'w', label: 'W', description: 'Wet-on-wet simulation on/off', action: function() { wetToggle(); }},
+        {key: 'k', label: 'K', description: 'Pigment mixing on/off', action: function() { pigmentToggle(); }},
+        {key: 'l', label: 'L', description: 'Layers', action: layerPanelToggle},
+        {key: 'p', label: 'P', description: 'Palette editor', action: palettePanelToggle},
+        {key: 'a', label: 'A', description: 'Paper', action: paperPanelToggle},
+        {key: 'g', label: 'G', description: 'Gallery', action: galleryPanelToggle},
+        {key: 's', label: 'S', description: 'Save stroke recording', action: recordingSave},
+        {key: 'o', label: 'O', description: 'Replay stroke recording', action: function() { recordingInput.elt.click(); }},
+        {key: 'f', label: 'F', description: 'Fullscreen on/off', action: function() { fullscreen(! fullscreen()); }},
+        {key: 'Shift+f', label: 'Shift+F', description: 'Kiosk mode (Escape to leave)', action: kioskToggle},
+        {key: '?', label: '? or H', description: 'Keyboard shortcuts', action: helpToggle},
+        {key: 'h', label: '', description: '', action: helpToggle},
+    ],
+    helpPanel,                                          // Keyboard shortcuts help overlay
+    buttonHelp,                                         // Keyboard shortcuts help overlay toggle button
+    announcer,                                          // Hidden live region announcing changes to screen readers
+    kiosk = new URLSearchParams(window.location.search).has('kiosk'), // Kiosk mode: only the painting, in fullscreen, until Escape
+    buttonFullscreen,                                   // Fullscreen (and kiosk mode) button
+    strokePaths = {},                                   // Stroke paths in progress, by input (mouse or tracked body part)
+    strokeSpacing = 0.5,                                // Distance between interpolated strokes, relative to the brush radius
+    strokeMaxSteps = 8,                                 // Maximum of interpolated strokes between two input points
+    strokeGapFrames = 6,                                // Frames without input that end a stroke path
+    strokeDynamics = true,                              // Speed changes the brush: thin and dry when fast, wide and wet when slow
+    strokeSpeedMax = 60,                                // Speed (pixels per frame) for the thinnest and driest brush
+    trackingSmoothing = 0.5,                            // Smoothing of the tracked body part positions, from 0 (none) to 1
+    pointers = {};                                      // Pointers (mouse, touch or pen) pressed on the canvas, by pointer id
 
 // Class for paint brush (a single layer)
 class Brush {
     
-    constructor(v) {
+    constructor(v, c, r, preset) {
+        this.preset = preset || brushPresets.watercolor; // Brush preset of the paint
         this.vertices = v;                              // Array of vertices for the brush shape
         this.newVertices = [];                          // Array of vertices for the paint shape
-        this.color = color(brushColor);                 // Color for the paint
-        this.color.setAlpha(round(random(1, 2)));       // Opacity for the brush shape
+        this.color = color(c || brushColor);            // Color for the paint
+        this.color.setAlpha(round(random(this.preset.alpha[0], this.preset.alpha[1]))); // Opacity for the brush shape
+        this.radius = r || brushRadius;                 // Radius used as distortion for the paint expansion
+        this.jitter = this.radius * this.preset.jitter; // Distortion of each deform pass
     }
     
     // This method simulates the paint expansion
@@ -116,19 +576,19 @@ class Brush {
         let x = 0,
             y = 0;
         
-        // For each vertex of the brush, generate new vertices for the paint based on the vertex siblings, using brush radius as distortion
+        // For each vertex of the brush, generate new vertices for the paint based on the vertex siblings, using the brush jitter as distortion
         for(let i = 0; i < this.vertices.length - 1; i++) {
-            x = (this.vertices[i].x + this.vertices[i + 1].x) / 2 + random(-brushRadius, brushRadius);
-            y = (this.vertices[i].y + this.vertices[i + 1].y) / 2 + random(-brushRadius, brushRadius);
+            x = (this.vertices[i].x + this.vertices[i + 1].x) / 2 + random(-this.jitter, this.jitter);
+            y = (this.vertices[i].y + this.vertices[i + 1].y) / 2 + random(-this.jitter, this.jitter);
             this.newVertices.push({
                 x: x,
                 y: y,
             });
         }
         
-        // Generate another vertex for the paint based on the average of the first and last vertex,  using brush radius as distortion
-        x = (this.vertices[0].x + this.vertices[this.vertices.length - 1].x) / 2 + random(-brushRadius, brushRadius);
-        y = (this.vertices[0].y + this.vertices[this.vertices.length - 1].y) / 2 + random(-brushRadius, brushRadius);
+        // Generate another vertex for the paint based on the average of the first and last vertex, using the brush jitter as distortion
+        x = (this.vertices[0].x + this.vertices[this.vertices.length - 1].x) / 2 + random(-this.jitter, this.jitter);
+        y = (this.vertices[0].y + this.vertices[this.vertices.length - 1].y) / 2 + random(-this.jitter, this.jitter);
         this.newVertices.push({
             x: x,
             y: y,
@@ -144,23 +604,49 @@ class Brush {
     }
     
     // This method shows the paint, drawing a shape using the brush vertices and filling it with the brush color
-    show() {        
-        noStroke();
-        fill(this.color);
-        beginShape();
+    show(g) {
+        g.noStroke();
+        g.fill(this.color);
+        g.beginShape();
+        for(let i = 0; i < this.vertices.length; i++) {
+            g.vertex(this.vertices[i].x, this.vertices[i].y);
+        }
+        g.endShape(CLOSE);
+    }
+    
+    // This method fills the paint shape on a canvas context with the brush color, outside of p5.js
+    trace(context) {
+        context.fillStyle = this.color.toString();
+        context.beginPath();
+        for(let i = 0; i < this.vertices.length; i++) {
+            context.lineTo(this.vertices[i].x, this.vertices[i].y);
+        }
+        context.closePath();
+        context.fill();
+    }
+    
+    // This method shows the dried edge of the paint, outlining the brush shape with a darker color (full strength by default)
+    edge(g, strength) {
+        let c = lerpColor(this.color, color(0), 0.4);
+        c.setAlpha(paperEdgeAlpha * (strength === undefined ? 1 : strength));
+        g.noFill();
+        g.stroke(c);
+        g.strokeWeight(2);
+        g.beginShape();
         for(let i = 0; i < this.vertices.length; i++) {
-            vertex(this.vertices[i].x, this.vertices[i].y);
+            g.vertex(this.vertices[i].x, this.vertices[i].y);
         }
-        endShape(CLOSE);
+        g.endShape(CLOSE);
     }
 }
 
 // Class for brush strokes (generate layers or brushes)
 class Strokes {
     
-    constructor(b) {
-        this.total = random(8, 32);     // Total of paint layers
-        this.layers = [];               // Array of paint layers
+    constructor(b, total) {
+        this.preset = b.preset;                 // Brush preset of the paint layers
+        this.total = total || random(this.preset.layers[0], this.preset.layers[1]); // Total of paint layers
+        this.layers = [];                       // Array of paint layers
         
         // For the total of the paint layers, generate a new brush stroke and store it in the paint layers
         for(let i = 0; i < this.total; i++) {
@@ -168,404 +654,5233 @@ class Strokes {
             for(let j = 0; j < b.vertices.length; j++) {
                 vertices.push(b.vertices[j]);
             }
-            this.layers.push(new Brush(vertices));
+            this.layers.push(new Brush(vertices, b.color, b.radius, b.preset));
         }
     }
     
     // This method simulates the paint expansion as a whole
     deform() {
-        for(let i = random(8); i > 0; i--) {
+        for(let i = random(this.preset.deforms[0], this.preset.deforms[1]); i > 0; i--) {
             for(let i = 0; i < this.total; i++) {
                 this.layers[i].deform();
             }
         }
     }
     
-    // This method shows the paint layers as a whole
-    show() {
+    // This method shows the paint layers as a whole on a graphics buffer
+    show(g) {
         for(let i = 0; i < this.total; i++) {
-            this.layers[i].show();
+            this.layers[i].show(g);
+        }
+    }
+}
+
+// Class for painting history (canvas checkpoints taken before each painting action)
+class PaintHistory {
+    
+    constructor(levels) {
+        this.levels = levels;           // Maximum of checkpoints kept for undo
+        this.memory = historyMemory;    // Maximum of bytes held by the checkpoints kept for undo
+        this.undoStack = [];            // Checkpoints restored by undo
+        this.redoStack = [];            // Checkpoints restored by redo
+        this.open = false;              // Painting action in progress
+        this.firstFrame = 0;            // Frame of the first paint in the current action
+        this.lastFrame = 0;             // Frame of the last paint in the current action
+    }
+    
+    // This method saves the canvas before a new painting action, discarding the redo checkpoints
+    checkpoint() {
+        this.undoStack.push(canvasSnapshot());
+        this.redoStack = [];
+        
+        // Drop the oldest checkpoints over the maximum of levels or of memory, always keeping the last one
+        let bytes = 0;
+        for(let i = 0; i < this.undoStack.length; i++) {
+            bytes += canvasSnapshotBytes(this.undoStack[i]);
+        }
+        while(this.undoStack.length > 1 && (this.undoStack.length > this.levels || bytes > this.memory)) {
+            bytes -= canvasSnapshotBytes(this.undoStack.shift());
+        }
+    }
+    
+    // This method groups every paint into painting actions, starting a new one if none is in progress
+    track() {
+        if(! this.open) {
+            this.checkpoint();
+            recordEvent({
+                type: 'action',
+            });
+            this.open = true;
+            this.firstFrame = frameCount;
+        }
+        this.lastFrame = frameCount;
+    }
+    
+    // This method closes the painting action after half a second without paint, or after three seconds of continuous paint (pose tracking)
+    update() {
+        if(this.open && (frameCount - this.lastFrame > drawFrameRate / 2 || frameCount - this.firstFrame > drawFrameRate * 3)) {
+            this.close();
+        }
+    }
+    
+    // This method closes the painting action in progress
+    close() {
+        this.open = false;
+    }
+    
+    // This method restores the canvas as it was before the last painting action
+    undo() {
+        this.close();
+        if(this.undoStack.length === 0) return false;
+        this.redoStack.push(canvasSnapshot());
+        canvasRestore(this.undoStack.pop());
+        return true;
+    }
+    
+    // This method restores the canvas as it was before the last undo
+    redo() {
+        this.close();
+        if(this.redoStack.length === 0) return false;
+        this.undoStack.push(canvasSnapshot());
+        canvasRestore(this.redoStack.pop());
+        return true;
+    }
+}
+
+// Class for wet strokes (paint that keeps spreading and mixing with its neighbours until it dries)
+class WetStroke {
+    
+    constructor(v, c, r, layer) {
+        this.x = v.x;                   // Position of the stroke
+        this.y = v.y;
+        this.color = color(c);          // Pigment color, mixed with the neighbouring wet strokes
+        this.radius = r;                // Radius of the stroke, growing on each bleed
+        this.layer = layer;             // Layer where the stroke was painted
+        this.frame = sessionFrame();    // Frame when the stroke was painted
+        this.stroke = recording.strokes; // Recorded stroke number, seeding the randomness of its bleeds
+        this.bleeds = 0;                // Times the stroke has bled
+    }
+    
+    // This method seeds the randomness of the next bleed (or the drying), apart from the stroke seeds, so a replay spreads the stroke the same way
+    seed() {
+        randomSeed(recording.seed - this.stroke * (wetBleeds + 2) - this.bleeds - 1);
+    }
+    
+    // This method returns the remaining wetness, from 1 (just painted) to 0 (dry)
+    wetness() {
+        return constrain(1 - (sessionFrame() - this.frame) / (dryingTime * drawFrameRate), 0, 1);
+    }
+    
+    // This method returns true when the stroke is due to bleed again
+    due() {
+        return 1 - this.wetness() >= (this.bleeds + 1) / (wetBleeds + 1);
+    }
+    
+    // This method spreads the stroke, drifting towards and mixing pigment with the overlapping wet strokes
+    bleed(neighbours) {
+        let w = this.wetness() * wetness,
+            mix = color(this.color),
+            drift = {
+                x: 0,
+                y: 0,
+            },
+            total = 0;
+        for(let i = 0; i < neighbours.length; i++) {
+            let n = neighbours[i],
+                d = dist(this.x, this.y, n.x, n.y),
+                reach = this.radius + n.radius;
+            if(n === this || n.layer !== this.layer || d >= reach) continue;
+            let overlap = (1 - d / reach) * n.wetness();
+            mix = pigmentMixing ? color(pigmentMix(mix, n.color, 0.5 * overlap * w)) : lerpColor(mix, n.color, 0.5 * overlap * w);
+            drift.x += (n.x - this.x) * overlap;
+            drift.y += (n.y - this.y) * overlap;
+            total += overlap;
+        }
+        this.color = mix;
+        if(total > 0) {
+            this.x += drift.x / total * 0.25 * w;
+            this.y += drift.y / total * 0.25 * w;
+        }
+        this.radius *= 1 + 0.25 * w;
+        this.seed();
+        this.bleeds++;
+        let p = new Strokes(new Brush([{
+            x: this.x,
+            y: this.y,
+        }], this.color, this.radius), round(8 * w) + 1);
+        p.deform();
+        p.show(this.layer.buffer);
+    }
+    
+    // This method shows the darker edge left where the stroke dries
+    dry() {
+        this.seed();
+        let b = new Brush([{
+            x: this.x,
+            y: this.y,
+        }], this.color, this.radius);
+        for(let i = 0; i < 5; i++) {
+            b.deform();
+        }
+        b.edge(this.layer.buffer);
+    }
+}
+
+// Class for stroke paths (successive input points joined by interpolated strokes)
+class StrokePath {
+    
+    constructor() {
+        this.last = null;               // Last point of the path
+        this.frame = 0;                 // Frame of the last point
+        this.speed = 0;                 // Smoothed speed, in pixels per frame
+    }
+    
+    // This method continues the path to a new point, smoothing it, and paints the strokes in between with the speed dynamics
+    to(v, source, c, r, smoothing, opacity) {
+        let frames = frameCount - this.frame;
+        
+        // A pause or a jump across the canvas starts a new path
+        if(this.last && (frames > strokeGapFrames || dist(this.last.x, this.last.y, v.x, v.y) > max(paintingWidth, paintingHeight) / 3)) {
+            this.last = null;
+        }
+        
+        // Smooth the point towards the previous one (removes pose jitter)
+        if(this.last && smoothing) {
+            v = {
+                x: lerp(v.x, this.last.x, smoothing),
+                y: lerp(v.y, this.last.y, smoothing),
+            };
+        }
+        
+        // Speed dynamics: thin and dry when fast, wide and wet when slow
+        let d = this.last ? dist(this.last.x, this.last.y, v.x, v.y) : 0,
+            radius = r,
+            load = 1;
+        this.speed = this.last ? lerp(this.speed, d / max(frames, 1), 0.5) : 0;
+        if(strokeDynamics) {
+            let t = constrain(this.speed / strokeSpeedMax, 0, 1);
+            radius = r * lerp(1, 0.4, t);
+            load = lerp(1, 0.35, t);
+        }
+        
+        // Interpolate strokes from the last point
+        let steps = this.last ? constrain(ceil(d / (radius * strokeSpacing)), 1, strokeMaxSteps) : 1;
+        for(let i = 1; i <= steps; i++) {
+            paint(this.last ? {
+                x: lerp(this.last.x, v.x, i / steps),
+                y: lerp(this.last.y, v.y, i / steps),
+            } : v, source, c, radius, load, opacity);
+        }
+        
+        this.last = v;
+        this.frame = frameCount;
+    }
+}
+
+// Class for people in front of the camera, identified across poses by their position and bounding box
+class Person {
+    
+    constructor(box) {
+        personsCount++;
+        this.id = personsCount;         // Unique person id
+        this.box = box;                 // Bounding box of the confident keypoints
+        this.color = personColor();     // Color of the person paint
+        this.radius = 0;                // Brush radius of the person paint, or 0 to use the brush size
+        this.seen = millis();           // Last time the person was detected
+    }
+    
+    // This method returns how far a bounding box is from the person, or Infinity if too far to be the same person
+    distance(box) {
+        let d = dist(this.box.x, this.box.y, box.x, box.y),
+            size = abs(this.box.w - box.w) + abs(this.box.h - box.h);
+        if(d > max(this.box.w, this.box.h, box.w, box.h, width / 10)) return Infinity;
+        return d + size;
+    }
+    
+    // This method updates the person with a new bounding box
+    update(box) {
+        this.box = box;
+        this.seen = millis();
+    }
+}
+
+// Class for painting layers, each one backed by an offscreen graphics buffer
+class Layer {
+    
+    constructor() {
+        layersCount++;
+        this.id = layersCount;                          // Unique layer id, used by stroke recordings
+        this.name = 'Layer ' + layersCount;             // Name shown in the layer panel
+        this.buffer = createGraphics(paintingWidth, paintingHeight); // Offscreen buffer holding the layer pixels
+        this.visible = true;                            // Layer visibility
+        this.opacity = 1;                               // Layer opacity, from 0 to 1
+        this.blend = 'normal';                          // Layer blend mode, one of layerBlendModes
+    }
+    
+    // This method draws the layer (or other pixels in its place) on a canvas context of the given size, using its opacity and blend mode
+    draw(context, w, h, pixels) {
+        if(! this.visible) return;
+        context.globalCompositeOperation = layerBlendModes[this.blend];
+        context.globalAlpha = this.opacity;
+        context.drawImage(pixels || this.buffer.elt, 0, 0, w, h);
+    }
+}
+
+// Class for the ml5.js PoseNet pose detector
+class PoseNetProvider {
+    
+    constructor() {
+        let provider = this;
+        this.ready = false;                             // Whether the model is loaded
+        this.video = true;                              // Whether it needs the video frames to detect poses
+        this.model = ml5.poseNet(function() {           // PoseNet model, without video: the pose sources feed it frame by frame
+            provider.ready = true;
+        });
+        this.timeout = 5000;                            // Milliseconds to wait for the poses of a frame
+    }
+    
+    // This method detects the poses on a video frame, resolving them in the PoseNet format (the pose listener is removed if it fails or times out)
+    detect(element) {
+        let model = this.model,
+            timeout = this.timeout;
+        return new Promise(function(resolve, reject) {
+            let timer,
+                fail = function(error) {
+                    clearTimeout(timer);
+                    model.removeListener('pose', done);
+                    reject(error);
+                },
+                done = function(poses) {
+                    clearTimeout(timer);
+                    resolve(poses);
+                };
+            timer = setTimeout(function() {
+                fail(new Error('PoseNet detection timed out'));
+            }, timeout);
+            model.once('pose', done);
+            model.multiPose(element).catch(fail);
+        });
+    }
+}
+
+// Class for the TensorFlow.js pose detection models (MoveNet and BlazePose)
+class PoseDetectionProvider {
+    
+    constructor(model) {
+        let provider = this;
+        this.ready = false;                             // Whether the model is loaded
+        this.video = true;                              // Whether it needs the video frames to detect poses
+        this.detector = null;                           // Pose detector of the model
+        this.error = null;                              // Why the model couldn't be loaded, shown in the tracking panel
+        scriptsLoad(poseDetectionScripts).then(function() {
+            let config = model === 'BlazePose' ? {
+                    runtime: 'tfjs',
+                } : {
+                    modelType: poseDetection.movenet.modelType.MULTIPOSE_LIGHTNING,
+                };
+            return poseDetection.createDetector(poseDetection.SupportedModels[model], config);
+        }).then(function(detector) {
+            provider.detector = detector;
+            provider.ready = true;
+        }).catch(function(error) {
+            console.log(error);
+            provider.error = error.message;
+            if(poseProvider === provider) trackingPanelCreate();
+        });
+    }
+    
+    // This method detects the poses on a video frame, resolving them in the PoseNet format
+    detect(element) {
+        return this.detector.estimatePoses(element).then(function(result) {
+            return result.map(function(pose) {
+                
+                // Keypoint names are in snake case (left_wrist), PoseNet ones in camel case (leftWrist)
+                return poseFormat(pose.keypoints.map(function(k) {
+                    return {
+                        part: k.name.replace(/_([a-z])/g, function(match, letter) {
+                            return letter.toUpperCase();
+                        }),
+                        x: k.x,
+                        y: k.y,
+                        score: k.score,
+                    };
+                }).filter(function(k) {
+                    return trackingKeypoints.indexOf(k.part) >= 0;
+                }));
+            });
+        });
+    }
+}
+
+// Class for a mock pose detector, a single person waving in front of the (maybe missing) camera
+class MockPoseProvider {
+    
+    constructor() {
+        this.ready = true;                              // Whether the model is loaded
+        this.video = false;                             // Whether it needs the video frames to detect poses
+    }
+    
+    // This method makes up the pose of the moment, resolving it in the PoseNet format
+    detect() {
+        let size = poseSourceSize(),
+            t = millis() / 1000,
+            u = size.w / 10,
+            cx = size.w / 2 + sin(t / 3) * u,
+            cy = size.h / 2,
+            parts = {
+                nose: [0, -3.2],
+                leftEye: [0.2, -3.4],
+                rightEye: [-0.2, -3.4],
+                leftEar: [0.5, -3.3],
+                rightEar: [-0.5, -3.3],
+                leftShoulder: [1, -2.2],
+                rightShoulder: [-1, -2.2],
+                leftElbow: [1.6 + cos(t) * 0.4, -1.2 + sin(t) * 0.4],
+                rightElbow: [-1.6 - cos(t * 1.3) * 0.4, -1.2 + sin(t * 1.3) * 0.4],
+                leftWrist: [1.8 + cos(t) * 1.2, -0.6 + sin(t) * 1.6],
+                rightWrist: [-1.8 - cos(t * 1.3) * 1.2, -0.6 + sin(t * 1.3) * 1.6],
+                leftHip: [0.6, 0.6],
+                rightHip: [-0.6, 0.6],
+                leftKnee: [0.7 + sin(t * 2) * 0.2, 1.8],
+                rightKnee: [-0.7 - sin(t * 2) * 0.2, 1.8],
+                leftAnkle: [0.8 + sin(t * 2) * 0.5, 3],
+                rightAnkle: [-0.8 - sin(t * 2) * 0.5, 3],
+            },
+            keypoints = [];
+        for(let part in parts) {
+            keypoints.push({
+                part: part,
+                x: cx + parts[part][0] * u,
+                y: cy + parts[part][1] * u,
+                score: 0.9,
+            });
         }
+        return Promise.resolve([poseFormat(keypoints)]);
     }
 }
 
 // Canvas setup (p5.js specific)
 function setup() {
     
-    // The paint canvas with a size equals to the viewport
+    // The paint canvas with a size equals to the viewport, resized by the layout once the toolbar is generated
     canvas = createCanvas(window.innerWidth - 50, window.innerHeight - 50);
+    canvas.attribute('role', 'img');
+    canvas.attribute('aria-label', 'Watercolor painting');
+    paintingWidth = width;
+    paintingHeight = height;
     
     // Adjust draw frame rate
     frameRate(drawFrameRate);
     
-    // Generate the color palette at the bottom of the page
-    for(let i = 0; i < colors.length; i++) {
-        let colorPick = createDiv('&nbsp;');
-        colorPick.size(spacing, 49);
-        colorPick.style('background-color', colors[i]);
-        colorPick.style('user-select', 'none');
-        colorPick.position(i * spacing, height + 1);
-    }
+    // Paint with every pointer (mouse, touch and pen) pressed on the canvas
+    canvas.elt.addEventListener('pointerdown', pointerDown);
+    canvas.elt.addEventListener('pointermove', pointerMove);
+    canvas.elt.addEventListener('pointerup', pointerUp);
+    canvas.elt.addEventListener('pointercancel', pointerUp);
+    
+    // Leaving fullscreen (the browser handles Escape itself) leaves the kiosk mode
+    document.addEventListener('fullscreenchange', kioskFullscreenChange);
+    
+    // Generate the hidden live region announcing changes to screen readers
+    announcer = createDiv();
+    announcer.addClass('announcer');
+    announcer.attribute('aria-live', 'polite');
     
-    // Generate the color picker indicator
+    // Generate the color palette container at the bottom of the page, choosing one color as a radio group
+    paletteBar = createDiv();
+    paletteBar.position(0, height + 1);
+    paletteBar.attribute('role', 'radiogroup');
+    paletteBar.attribute('aria-label', 'Color palette (1 to 0, or arrow keys)');
+    
+    // Generate the color picker indicator, hidden to screen readers as the palette tells the color
     picker = createDiv();
-    picker.size(spacing);
     picker.style('text-align', 'center');
     picker.style('user-select', 'none');
+    picker.style('pointer-events', 'none');
+    picker.attribute('aria-hidden', 'true');
     changeBrushSize(0);
     
+    // Generate the color palette
+    paletteUpdate();
+    
     // Generate the increase brush size button
     buttonIncreaseBrushSize = createButton('<span class="fa-stack"><i class="fas fa-paint-brush fa-stack-2x"></i><i class="fas fa-plus fa-stack-1x"></i></span>');
     buttonIncreaseBrushSize.position(width, 0);
     buttonIncreaseBrushSize.size(50);
-    buttonIncreaseBrushSize.attribute('title', 'Increase brush size');
+    buttonLabel(buttonIncreaseBrushSize, 'Increase brush size (])');
     buttonIncreaseBrushSize.mousePressed(increaseBrushSize);
     
     // Generate the decrease brush size button
     buttonDecreaseBrushSize = createButton('<span class="fa-stack"><i class="fas fa-paint-brush fa-stack-2x"></i><i class="fas fa-minus fa-stack-1x"></i></span>');
     buttonDecreaseBrushSize.position(width, 50);
     buttonDecreaseBrushSize.size(50);
-    buttonDecreaseBrushSize.attribute('title', 'Decrease brush size');
+    buttonLabel(buttonDecreaseBrushSize, 'Decrease brush size ([)');
     buttonDecreaseBrushSize.mousePressed(decreaseBrushSize);
     
+    // Generate the brush presets panel toggle button, showing the brush preset used
+    buttonBrush = createButton('<i class="fas ' + brushPresets[brushPreset].icon + ' fa-lg fa-fw"></i>');
+    buttonBrush.position(width, 100);
+    buttonBrush.size(50);
+    buttonLabel(buttonBrush, 'Brush: ' + brushPresets[brushPreset].name + ' (B)');
+    buttonBrush.mousePressed(brushPanelToggle);
+    
+    // Generate the brush presets panel
+    brushPanel = createDiv();
+    brushPanel.addClass('panel');
+    brushPanel.size(280, AUTO);
+    brushPanel.position(width - 280, 100);
+    brushPanel.hide();
+    
     // Generate the pose tracking button
     buttonTracking = createButton('<i class="fas fa-video-slash fa-lg fa-fw"></i>');
     buttonTracking.position(width, 100);
     buttonTracking.size(50);
-    buttonTracking.attribute('title', 'Enable pose tracking');
+    buttonLabel(buttonTracking, 'Enable pose tracking (T)', false);
     buttonTracking.mousePressed(trackingToggle);
     
+    // Generate the pose tracking settings button, placed over the canvas next to the pose tracking button
+    buttonTrackingSettings = createButton('<i class="fas fa-cog fa-fw"></i>');
+    buttonTrackingSettings.position(width - 26, 100);
+    buttonTrackingSettings.size(26);
+    buttonTrackingSettings.addClass('button-small');
+    buttonLabel(buttonTrackingSettings, 'Pose tracking settings');
+    buttonTrackingSettings.mousePressed(trackingPanelToggle);
+    
+    // Generate the bar showing each tracked person color, over the bottom right corner of the canvas
+    personsBar = createDiv();
+    personsBar.addClass('persons');
+    personsBar.size(width / 2, AUTO);
+    personsBar.position(width / 2, height - 40);
+    
+    // Generate the play/pause and seek controls of the pose sources from files, over the bottom left corner of the canvas
+    poseControls = createDiv();
+    poseControls.addClass('panel');
+    poseControls.size(320, AUTO);
+    poseControls.position(0, height - 40);
+    poseControls.hide();
+    let poseControlsRow = createDiv();
+    poseControlsRow.parent(poseControls);
+    poseControlsRow.addClass('panel-row');
+    posePlayButton = createButton('<i class="fas fa-pause fa-fw"></i>');
+    posePlayButton.parent(poseControlsRow);
+    posePlayButton.mousePressed(poseSourcePlayToggle);
+    poseSeekSlider = createSlider(0, 1000, 0);
+    poseSeekSlider.parent(poseControlsRow);
+    poseSeekSlider.attribute('title', 'Seek');
+    poseSeekSlider.input(function() {
+        poseSourceSeek(poseSeekSlider.value() / 1000 * poseSourceDuration());
+    });
+    poseTimeLabel = createSpan('0:00');
+    poseTimeLabel.parent(poseControlsRow);
+    
+    // Generate the hidden file inputs of the pose sources from files
+    poseVideoInput = createFileInput(poseSourceVideo);
+    poseVideoInput.attribute('accept', 'video/*');
+    poseVideoInput.hide();
+    poseKeypointsInput = createFileInput(poseSourceKeypoints);
+    poseKeypointsInput.attribute('accept', '.json,application/json');
+    poseKeypointsInput.hide();
+    
+    // Generate the pose tracking settings panel, restoring the settings of the previous session
+    trackingPanel = createDiv();
+    trackingPanel.addClass('panel');
+    trackingPanel.size(320, AUTO);
+    trackingPanel.position(width - 346, 100);
+    trackingPanel.hide();
+    trackingSettingsLoad();
+    
     // Generate the sound notes detection button
     buttonListening = createButton('<i class="fas fa-microphone-slash fa-lg fa-fw"></i>');
     buttonListening.position(width, 150);
     buttonListening.size(50);
-    buttonListening.attribute('title', 'Enable sound notes detection');
+    buttonLabel(buttonListening, 'Enable sound notes detection (M)', false);
     buttonListening.mousePressed(listeningToggle);
     
+    // Generate the musical mode settings button, placed over the canvas next to the sound notes detection button
+    buttonMusicSettings = createButton('<i class="fas fa-cog fa-fw"></i>');
+    buttonMusicSettings.position(width - 26, 150);
+    buttonMusicSettings.size(26);
+    buttonMusicSettings.addClass('button-small');
+    buttonLabel(buttonMusicSettings, 'Musical mode settings');
+    buttonMusicSettings.mousePressed(musicPanelToggle);
+    
+    // Generate the musical mode settings panel, restoring the settings of the previous session
+    musicPanel = createDiv();
+    musicPanel.addClass('panel');
+    musicPanel.size(320, AUTO);
+    musicPanel.position(width - 346, 150);
+    musicPanel.hide();
+    musicSettingsLoad();
+    
     // Generate the download canvas button
     buttonDownload = createButton('<i class="fas fa-download fa-lg fa-fw"></i>');
     buttonDownload.position(width, 200);
     buttonDownload.size(50);
-    buttonDownload.attribute('title', 'Download canvas');
-    buttonDownload.mousePressed(canvasDownload);
+    buttonLabel(buttonDownload, 'Export (E)');
+    buttonDownload.mousePressed(exportPanelToggle);
+    
+    // Generate the export dialog, next to its button, with a hidden file input to open projects
+    exportPanel = createDiv();
+    exportPanel.addClass('panel');
+    exportPanel.size(280, AUTO);
+    exportPanel.position(width - 280, 200);
+    exportPanel.hide();
+    exportPanelCreate();
+    projectInput = createFileInput(projectLoad);
+    projectInput.attribute('accept', '.json,application/json');
+    projectInput.hide();
     
     // Generate the reset canvas button
     buttonReset = createButton('<i class="fas fa-recycle fa-lg fa-fw"></i>');
     buttonReset.position(width, 250);
     buttonReset.size(50);
-    buttonReset.attribute('title', 'Reset canvas');
-    buttonReset.mousePressed(canvasReset);
+    buttonLabel(buttonReset, 'Reset canvas (R)');
+    buttonReset.mousePressed(canvasResetConfirm);
+    
+    // Generate the undo button
+    buttonUndo = createButton('<i class="fas fa-undo fa-lg fa-fw"></i>');
+    buttonUndo.position(width, 300);
+    buttonUndo.size(50);
+    buttonLabel(buttonUndo, 'Undo (Ctrl+Z)');
+    buttonUndo.mousePressed(canvasUndo);
+    
+    // Generate the redo button
+    buttonRedo = createButton('<i class="fas fa-redo fa-lg fa-fw"></i>');
+    buttonRedo.position(width, 350);
+    buttonRedo.size(50);
+    buttonLabel(buttonRedo, 'Redo (Ctrl+Shift+Z)');
+    buttonRedo.mousePressed(canvasRedo);
+    
+    // Generate the save stroke recording button
+    buttonRecordingSave = createButton('<i class="fas fa-file-export fa-lg fa-fw"></i>');
+    buttonRecordingSave.position(width, 400);
+    buttonRecordingSave.size(50);
+    buttonLabel(buttonRecordingSave, 'Save stroke recording (S)');
+    buttonRecordingSave.mousePressed(recordingSave);
+    
+    // Generate the replay stroke recording button, with a hidden file input to choose the recording
+    recordingInput = createFileInput(recordingLoad);
+    recordingInput.attribute('accept', '.json,application/json');
+    recordingInput.hide();
+    buttonRecordingReplay = createButton('<i class="fas fa-play fa-lg fa-fw"></i>');
+    buttonRecordingReplay.position(width, 450);
+    buttonRecordingReplay.size(50);
+    buttonLabel(buttonRecordingReplay, 'Replay stroke recording (O, Shift for time-lapse)');
+    buttonRecordingReplay.mousePressed(function(event) {
+        replayTimelapse = event.shiftKey;
+        recordingInput.elt.click();
+    });
+    
+    // Generate the layer panel toggle button
+    buttonLayers = createButton('<i class="fas fa-layer-group fa-lg fa-fw"></i>');
+    buttonLayers.position(width, 500);
+    buttonLayers.size(50);
+    buttonLabel(buttonLayers, 'Layers (L)');
+    buttonLayers.mousePressed(layerPanelToggle);
+    
+    // Generate the layer panel, next to the buttons
+    layerPanel = createDiv();
+    layerPanel.addClass('panel');
+    layerPanel.size(280, AUTO);
+    layerPanel.position(width - 280, 0);
+    layerPanel.hide();
+    
+    // Generate the wet-on-wet simulation button
+    buttonWet = createButton('<i class="fas fa-tint-slash fa-lg fa-fw"></i>');
+    buttonWet.position(width, 550);
+    buttonWet.size(50);
+    buttonLabel(buttonWet, 'Enable wet-on-wet simulation (W)', false);
+    buttonWet.mousePressed(function() {
+        wetToggle();
+    });
+    
+    // Generate the wet-on-wet settings panel, next to its button
+    wetPanel = createDiv();
+    wetPanel.addClass('panel');
+    wetPanel.size(280, AUTO);
+    wetPanel.position(width - 280, 550);
+    wetPanel.hide();
+    wetPanelCreate();
+    
+    // Generate the palette editor panel toggle button
+    buttonPalette = createButton('<i class="fas fa-palette fa-lg fa-fw"></i>');
+    buttonPalette.position(width, 650);
+    buttonPalette.size(50);
+    buttonLabel(buttonPalette, 'Palette editor (P)');
+    buttonPalette.mousePressed(palettePanelToggle);
+    
+    // Generate the palette editor panel, with a hidden file input to import palettes
+    palettePanel = createDiv();
+    palettePanel.addClass('panel');
+    palettePanel.size(320, AUTO);
+    palettePanel.position(width - 320, 0);
+    palettePanel.hide();
+    paletteInput = createFileInput(paletteLoad);
+    paletteInput.attribute('accept', '.gpl,.ase,.json,.txt,.hex');
+    paletteInput.hide();
+    
+    // Generate the pigment mixing button
+    buttonPigment = createButton('<i class="fas fa-fill fa-lg fa-fw"></i>');
+    buttonPigment.position(width, 700);
+    buttonPigment.size(50);
+    buttonLabel(buttonPigment, 'Enable pigment mixing (K)', false);
+    buttonPigment.mousePressed(function() {
+        pigmentToggle();
+    });
+    
+    // Generate the paper settings panel toggle button
+    buttonPaper = createButton('<i class="fas fa-scroll fa-lg fa-fw"></i>');
+    buttonPaper.position(width, 750);
+    buttonPaper.size(50);
+    buttonLabel(buttonPaper, 'Paper (A)');
+    buttonPaper.mousePressed(paperPanelToggle);
+    
+    // Generate the paper settings panel
+    paperPanel = createDiv();
+    paperPanel.addClass('panel');
+    paperPanel.size(280, AUTO);
+    paperPanel.position(width - 280, 650);
+    paperPanel.hide();
+    paperPanelCreate();
+    
+    // Generate the generative painting button
+    buttonGenerative = createButton('<i class="fas fa-volume-off fa-lg fa-fw"></i>');
+    buttonGenerative.position(width, 800);
+    buttonGenerative.size(50);
+    buttonLabel(buttonGenerative, 'Enable audio-reactive generative painting (N)', false);
+    buttonGenerative.mousePressed(generativeToggle);
+    
+    // Generate the generative painting settings button, placed over the canvas next to the generative painting button
+    buttonGenerativeSettings = createButton('<i class="fas fa-cog fa-fw"></i>');
+    buttonGenerativeSettings.position(width - 26, 800);
+    buttonGenerativeSettings.size(26);
+    buttonGenerativeSettings.addClass('button-small');
+    buttonLabel(buttonGenerativeSettings, 'Generative painting settings');
+    buttonGenerativeSettings.mousePressed(generativePanelToggle);
+    
+    // Generate the generative painting settings panel, with a hidden file input to load audio files
+    generativePanel = createDiv();
+    generativePanel.addClass('panel');
+    generativePanel.size(280, AUTO);
+    generativePanel.position(width - 306, 650);
+    generativePanel.hide();
+    generativePanelCreate();
+    audioFileInput = createFileInput(audioFileLoad);
+    audioFileInput.attribute('accept', 'audio/*');
+    audioFileInput.hide();
+    
+    // Generate the gallery panel toggle button
+    buttonGallery = createButton('<i class="fas fa-images fa-lg fa-fw"></i>');
+    buttonGallery.position(width, 600);
+    buttonGallery.size(50);
+    buttonLabel(buttonGallery, 'Gallery (G)');
+    buttonGallery.mousePressed(galleryPanelToggle);
+    
+    // Generate the gallery panel
+    galleryPanel = createDiv();
+    galleryPanel.addClass('panel');
+    galleryPanel.size(280, AUTO);
+    galleryPanel.position(width - 280, 0);
+    galleryPanel.hide();
+    
+    // Generate the fullscreen button (kiosk mode with Shift)
+    buttonFullscreen = createButton('<i class="fas fa-expand fa-lg fa-fw"></i>');
+    buttonFullscreen.position(width, 850);
+    buttonFullscreen.size(50);
+    buttonLabel(buttonFullscreen, 'Fullscreen (F, Shift for kiosk mode, Escape to leave)');
+    buttonFullscreen.mousePressed(function(event) {
+        if(event.shiftKey) {
+            kioskToggle();
+        } else {
+            fullscreen(! fullscreen());
+        }
+    });
+    
+    // Generate the keyboard shortcuts help button
+    buttonHelp = createButton('<i class="fas fa-keyboard fa-lg fa-fw"></i>');
+    buttonHelp.position(width, 900);
+    buttonHelp.size(50);
+    buttonLabel(buttonHelp, 'Keyboard shortcuts (?)');
+    buttonHelp.mousePressed(helpToggle);
+    
+    // Generate the keyboard shortcuts help overlay
+    helpPanel = createDiv();
+    helpPanel.addClass('panel');
+    helpPanel.addClass('help');
+    helpPanel.size(420, AUTO);
+    helpPanel.attribute('role', 'dialog');
+    helpPanel.attribute('aria-label', 'Keyboard shortcuts');
+    helpPanel.hide();
+    helpPanelCreate();
+    
+    // Lay out the page, the painting taking the canvas size left by the toolbar
+    layout();
+    paintingWidth = width;
+    paintingHeight = height;
+    viewUpdate();
+    
+    // Start with a single painting layer
+    layersReset();
+    
+    // Open the gallery, and autosave the painting in progress at intervals
+    paintingNew();
+    galleryOpen();
+    setInterval(autosave, autosaveInterval * 1000);
+    
+    // Start the recording of the painting session
+    recordingStart(floor(Math.random() * 1000000000));
     
     // Start canvas original state
     canvasReset();
     
+    // Start the painting history
+    paintHistory = new PaintHistory(historyLevels);
+    
 }
 
 // Draw on canvas (p5.js specific)
 function draw() {
     
-    // If mouse over color palette
-    if(mouseY >= height && mouseY <= window.innerHeight) {
-        
-        // Select the color from palette based on mouse position
-        for(let i = 0; i < colors.length; i++) {
-            if(mouseX > (i * spacing) && mouseX <= (i * spacing) + spacing) {
-                brushColor = colors[i];
-                colorPicker(brushColor);
-                let clickEvent = document.createEvent('MouseEvents');
-                clickEvent.initEvent('mouseup', true, true);
-                document.querySelector('canvas').dispatchEvent(clickEvent);
-                break;
-            }
-        }
-        
-    // If sound notes detection is active and the mouse isn't over color palette
-    } else if(listening && mouseY < height) {
+    // Close the painting action in progress after a pause
+    paintHistory.update();
     
-        // Detect audio frequency from signal using ACF2+
-        let buffer = new Float32Array(2048);
-        audioAnalyser.getFloatTimeDomainData(buffer);
-        let frequency = acf2plus(buffer);
-
-        // If an audio frequency exists
-        if(frequency) {
-
-            // Calculate sound note from audio frequency
-            let note = (round(12 * (Math.log(frequency / 440) / Math.log(2))) + 69) % 12;
-
-            // Use sound note to select color from palette
-            brushColor = colors[ notes[ constrain(note, 0, notes.length) ] ];
-            colorPicker(brushColor);
-
-        }
+    // While a stroke recording is replayed, ignore every other input
+    if(replay) {
+        replayUpdate();
+        pigmentFlush();
+        wetUpdate();
+        layersComposite();
+        return;
     }
     
-    // If pose tracking is active and human poses detected
-    if(tracking && poses.length > 0) {
-        
-        // Mirror the canvas
-        translate(width, 0);
-        scale(-1, 1);
+    // If sound notes detection is active (palette colors are chosen by click or keyboard, wherever the mouse is)
+    if(listening) listeningUpdate();
+    
+    // Let the sound paint
+    if(generative) generativeUpdate();
+    
+    // Paint the MIDI notes received
+    midiUpdate();
+    
+    // Detect the poses of the pose source
+    if(tracking) poseSourceUpdate();
+    
+    // Recognize the gestures of each pose
+    if(tracking && gesturesEnabled && ! calibrating) gesturesUpdate();
+    
+    // If pose tracking is active and human poses detected (not while calibrating)
+    if(tracking && poses.length > 0 && ! calibrating) {
         
         // For each pose
         for(let i = 0; i < poses.length; i += 1) {
             
-            // Select the pose
-            let pose = poses[i].pose,
-                leftWrist = pose['leftWrist'],
-                rightWrist = pose['rightWrist'],
-                leftAnkle = pose['leftAnkle'],
-                rightAnkle = pose['rightAnkle'];
+            // Select the pose, not painting while painting is off or the person is making a gesture
+            let pose = poses[i].pose;
+            if(! trackingPainting || poses[i].gesturing) continue;
             
-            // If left wrist found
-            if(trackingBodyParts.leftWrist && leftWrist.confidence > trackingConfidence) {
-                
-                // Start painting in left wrist position
-                paint(leftWrist);
-            }
-
-            // If right wrist found
-            if(trackingBodyParts.rightWrist && rightWrist.confidence > trackingConfidence) {
-
-                // Start painting in right wrist position
-                paint(rightWrist);
-            }
-
-            // If left ankle found
-            if(trackingBodyParts.leftAnkle && leftAnkle.confidence > trackingConfidence) {
-                
-                // Start painting in left ankle position
-                paint(leftAnkle);
-            }
-
-            // If right ankle found
-            if(trackingBodyParts.rightAngle && rightAnkle.confidence > trackingConfidence) {
-                
-                // Start painting in right ankle position
-                paint(rightAnkle);
+            // For each tracked body part found
+            for(let part in trackingBodyParts) {
+                let keypoint = pose[part],
+                    settings = trackingBodyParts[part];
+                if(settings.enabled && keypoint && keypoint.confidence > trackingConfidence) {
+                    
+                    // Continue painting to the body part position, with its own brush (or the person brush)
+                    strokePathTo('pose-' + (poses[i].person ? poses[i].person.id : i) + '-' + part, trackingMap(keypoint), 'pose', trackingBodyPartColor(settings, poses[i].person), trackingBodyPartRadius(settings, poses[i].person) * musicRadius(), trackingSmoothing, musicOpacity());
+                }
             }
             
         }
         
-    // Else if the mouse position is saved
-    } else if(lastMouse.x > 0 && lastMouse.y > 0) {
-
-        // Start painting in saved mouse position
-        paint(lastMouse);
-
-        // Reset last mouse position
-        lastMouse = {
-            x: 0,
-            y: 0,
-        };
-
+    // Else for each pointer pressed on the canvas that moved
+    } else {
+        for(let id in pointers) {
+            let p = pointers[id];
+            if(! p.moved) continue;
+            p.moved = false;
+            
+            // Continue painting to the pointer position, with its pressure and tilt
+            strokePathTo('pointer-' + id, p, p.source, brushColor, brushRadius * pointerRadius(p) * musicRadius(), 0, pointerOpacity(p) * musicOpacity());
+        }
     }
+    
+    // End the stroke paths without input
+    strokePathsUpdate();
+    
+    // Mix the strokes of the frame painted as pigments
+    pigmentFlush();
+    
+    // Let the wet strokes spread and dry
+    wetUpdate();
+    
+    // Show the painting layers, and the calibration overlay and gestures progress over them
+    layersComposite();
+    push();
+    translate(viewX, viewY);
+    scale(viewScale);
+    if(calibrating) calibrationDraw();
+    if(tracking) gesturesDraw();
+    pop();
 }
 
-// Mouse clicked event handler (p5.js specific)
-function mouseClicked() {
-    
-    // Save mouse position
-    saveMouse();
+// Window resized event handler (p5.js specific), also on orientation changes and fullscreen
+function windowResized() {
+    layout();
 }
 
-// Mouse dragged event handler (p5.js specific)
-function mouseDragged() {
+// Place the canvas, toolbar, palette and panels in the window
+// The toolbar is a column on the right of the canvas (wrapping into more columns), or rows under it in portrait
+function layout() {
+    let toolbar = [
+            buttonIncreaseBrushSize,
+            buttonDecreaseBrushSize,
+            buttonBrush,
+            buttonTracking,
+            buttonListening,
+            buttonDownload,
+            buttonReset,
+            buttonUndo,
+            buttonRedo,
+            buttonRecordingSave,
+            buttonRecordingReplay,
+            buttonLayers,
+            buttonWet,
+            buttonGallery,
+            buttonPalette,
+            buttonPigment,
+            buttonPaper,
+            buttonGenerative,
+            buttonFullscreen,
+            buttonHelp,
+        ],
+        settings = [                                    // Small settings buttons, next to their toolbar button
+            [buttonTrackingSettings, buttonTracking],
+            [buttonMusicSettings, buttonListening],
+            [buttonGenerativeSettings, buttonGenerative],
+        ],
+        panels = [                                      // Panels with their width, toolbar button (none for panels at the top) and whether a settings button is next to it
+            [brushPanel, 280, buttonBrush, false],
+            [trackingPanel, 320, buttonTracking, true],
+            [musicPanel, 320, buttonListening, true],
+            [exportPanel, 280, buttonDownload, false],
+            [layerPanel, 280, null, false],
+            [wetPanel, 280, buttonWet, false],
+            [galleryPanel, 280, null, false],
+            [palettePanel, 320, null, false],
+            [paperPanel, 280, buttonPaper, false],
+            [generativePanel, 280, buttonGenerative, true],
+        ],
+        portrait = window.innerHeight > window.innerWidth,
+        positions = [],
+        w = window.innerWidth,
+        h = window.innerHeight;
+    if(kiosk) {
+        paletteTop = h;
+    } else if(portrait) {
+        let perRow = max(1, floor(w / 50)),
+            rows = ceil(toolbar.length / perRow);
+        h = max(100, h - 50 - rows * 50);
+        for(let i = 0; i < toolbar.length; i++) {
+            positions.push({
+                x: (i % perRow) * 50,
+                y: h + floor(i / perRow) * 50,
+            });
+        }
+        paletteTop = h + rows * 50;
+    } else {
+        let perColumn = max(1, floor((h - 50) / 50)),
+            columns = ceil(toolbar.length / perColumn);
+        w = max(100, w - columns * 50);
+        h = h - 50;
+        for(let i = 0; i < toolbar.length; i++) {
+            positions.push({
+                x: w + floor(i / perColumn) * 50,
+                y: (i % perColumn) * 50,
+            });
+        }
+        paletteTop = h;
+    }
+    resizeCanvas(w, h);
+    viewUpdate();
+    
+    // Toolbar buttons, with their settings buttons over the canvas (above them in portrait)
+    for(let i = 0; i < toolbar.length; i++) {
+        if(kiosk) {
+            toolbar[i].hide();
+        } else {
+            toolbar[i].show();
+            toolbar[i].position(positions[i].x, positions[i].y);
+        }
+    }
+    for(let i = 0; i < settings.length; i++) {
+        let p = positions[toolbar.indexOf(settings[i][1])];
+        if(kiosk) {
+            settings[i][0].hide();
+        } else {
+            settings[i][0].show();
+            settings[i][0].position(portrait ? p.x : p.x - 26, portrait ? p.y - 26 : p.y);
+        }
+    }
     
-    // Save mouse position
-    if(mouseIsPressed) saveMouse();
+    // Panels next to their toolbar button, fitting in the window (at the top in portrait)
+    for(let i = 0; i < panels.length; i++) {
+        let panel = panels[i][0],
+            button = panels[i][2],
+            x = w - panels[i][1] - (panels[i][3] && ! portrait ? 26 : 0),
+            y = button && ! portrait ? min(positions[toolbar.indexOf(button)].y, max(0, h - 320)) : 0;
+        if(kiosk) panel.hide();
+        panel.position(x, y);
+    }
     
+    // Color palette and picker, persons bar and pose source controls, at the bottom of the canvas
+    if(kiosk) {
+        paletteBar.hide();
+        picker.hide();
+    } else {
+        paletteBar.show();
+        picker.show();
+    }
+    paletteBar.position(0, paletteTop + 1);
+    paletteUpdate();
+    personsBar.size(w / 2, AUTO);
+    personsBar.position(w / 2, h - 40);
+    poseControls.position(0, h - 40);
+    helpPanel.position(max(0, (window.innerWidth - 420) / 2), 40);
 }
 
-// Increase brush radio
-function increaseBrushSize() {
-    changeBrushSize(1);
+// Fit the painting in the canvas, keeping its aspect ratio (letterboxed)
+function viewUpdate() {
+    viewScale = min(width / paintingWidth, height / paintingHeight);
+    viewX = (width - paintingWidth * viewScale) / 2;
+    viewY = (height - paintingHeight * viewScale) / 2;
 }
 
-// Decrease brush radio
-function decreaseBrushSize() {
-    changeBrushSize(-1);
+// Toggle the kiosk mode: only the painting, in fullscreen
+function kioskToggle() {
+    kiosk = ! kiosk;
+    fullscreen(kiosk);
+    layout();
 }
 
-// Increase/decrease brush radio
-function changeBrushSize(i) {
-    brushRadius = constrain((i * 8) + brushRadius, 8, 64);
-    picker.html('<span class="fa-stack fa-lg fa-fw"><i class="fas fa-circle fa-stack-2x"></i><span class="fa-stack-1x fa-inverse">' + 2 * brushRadius + '</span></span>');
+// Fullscreen change event handler, leaving the kiosk mode when the page leaves fullscreen
+function kioskFullscreenChange() {
+    if(kiosk && ! document.fullscreenElement) {
+        kiosk = false;
+        layout();
+    }
 }
 
-// Download canvas as image
-function canvasDownload() {
-    saveCanvas('watercolor-' + new Date().getTime(), 'jpg');
+// Pointer down event handler, for mouse, touch and pen on the canvas
+function pointerDown(event) {
+    
+    // While calibrating, the pointers choose the tracked region instead
+    if(calibrating) {
+        calibrationPointer(event);
+        return;
+    }
+    
+    // Only the main mouse button paints
+    if(event.pointerType === 'mouse' && event.button !== 0) return;
+    
+    // The kiosk mode goes fullscreen on the first touch, as browsers only allow it on user input
+    if(kiosk && ! fullscreen()) fullscreen(true);
+    
+    // Keep receiving the pointer events while pressed, even out of the canvas
+    canvas.elt.setPointerCapture(event.pointerId);
+    pointers[event.pointerId] = pointerRead(event);
 }
 
-// Set canvas original state
-function canvasReset() {
-    clear();
-    brushColor = random(colors);
-    background('#ffffff');
-    colorPicker(brushColor);
+// Pointer move event handler
+function pointerMove(event) {
+    if(calibrating) {
+        calibrationPointer(event);
+        return;
+    }
+    
+    // Save the position of pressed pointers only
+    if(pointers[event.pointerId]) pointers[event.pointerId] = pointerRead(event);
 }
 
-
+// Pointer up and cancel event handler
+function pointerUp(event) {
+    if(calibrating) {
+        calibrationPointer(event);
+        return;
+    }
+    
+    // Finish the stroke path, and the painting action when no pointer is left
+    delete pointers[event.pointerId];
+    delete strokePaths['pointer-' + event.pointerId];
+    if(Object.keys(pointers).length === 0) paintHistory.close();
+}
+
+// Key pressed event handler (p5.js specific)
+function keyPressed(event) {
+    
+    // Typing in the panels fields isn't a shortcut
+    let focused = document.activeElement;
+    if(focused && ['INPUT', 'SELECT', 'TEXTAREA'].indexOf(focused.tagName) >= 0) return;
+    
+    // Escape leaves the kiosk mode, or closes the help overlay
+    if(keyCode === ESCAPE) {
+        if(kiosk) {
+            kioskToggle();
+        } else if(helpPanel.elt.style.display !== 'none') {
+            helpToggle();
+        }
+        return false;
+    }
+    
+    // Number keys select the first ten palette colors (0 is the tenth)
+    let ctrl = event.ctrlKey || event.metaKey;
+    if(! ctrl && /^[0-9]$/.test(event.key)) {
+        colorSelect((Number(event.key) + 9) % 10);
+        return false;
+    }
+    
+    // Shortcuts from the list, with Ctrl (also Cmd on macOS) and Shift for letters
+    let combo = (ctrl ? 'Ctrl+' : '') + (event.shiftKey && /^[a-z]$/i.test(event.key) ? 'Shift+' : '') + (event.key.length === 1 ? event.key.toLowerCase() : event.key);
+    for(let i = 0; i < shortcuts.length; i++) {
+        if(shortcuts[i].key === combo) {
+            shortcuts[i].action();
+            return false;
+        }
+    }
+}
+
+// Set the title and the label (for screen readers) of an icon button, and whether it's pressed for toggle buttons
+function buttonLabel(button, label, pressed) {
+    button.attribute('title', label);
+    button.attribute('aria-label', label);
+    if(pressed !== undefined) button.attribute('aria-pressed', pressed ? 'true' : 'false');
+}
+
+// Announce a change to screen readers
+function announce(message) {
+    announcer.html('');
+    announcer.html(message);
+}
+
+// Show or hide the keyboard shortcuts help overlay, focusing it when shown
+function helpToggle() {
+    if(helpPanel.elt.style.display === 'none') {
+        helpPanel.show();
+        helpPanel.elt.focus();
+    } else {
+        helpPanel.hide();
+    }
+}
+
+// Generate the list of keyboard shortcuts of the help overlay
+function helpPanelCreate() {
+    helpPanel.html('');
+    helpPanel.attribute('tabindex', '-1');
+    let rows = [['1 … 9, 0', 'Select a palette color']].concat(shortcuts.filter(function(s) {
+        return s.label;
+    }).map(function(s) {
+        return [s.label, s.description];
+    }));
+    for(let i = 0; i < rows.length; i++) {
+        let row = createDiv();
+        row.parent(helpPanel);
+        row.addClass('panel-row');
+        row.addClass('panel-setting');
+        let key = createElement('kbd', rows[i][0]);
+        key.parent(row);
+        let description = createSpan(rows[i][1]);
+        description.parent(row);
+    }
+    let row = createDiv();
+    row.parent(helpPanel);
+    row.addClass('panel-row');
+    let close = createButton('Close (Escape)');
+    close.parent(row);
+    close.mousePressed(helpToggle);
+}
+
+// Increase brush radio
+function increaseBrushSize() {
+    changeBrushSize(1);
+}
+
+// Decrease brush radio
+function decreaseBrushSize() {
+    changeBrushSize(-1);
+}
+
+// Increase/decrease brush radio
+function changeBrushSize(i) {
+    brushRadius = constrain((i * 8) + brushRadius, 8, 64);
+    picker.html('<span class="fa-stack fa-lg fa-fw"><i class="fas fa-circle fa-stack-2x"></i><span class="fa-stack-1x fa-inverse">' + 2 * brushRadius + '</span></span>');
+    if(i) announce('Brush size ' + 2 * brushRadius);
+}
+
+// Set the brush preset used for painting
+function brushSet(name) {
+    if(! brushPresets[name]) return;
+    brushPreset = name;
+    buttonBrush.html('<i class="fas ' + brushPresets[name].icon + ' fa-lg fa-fw"></i>');
+    buttonLabel(buttonBrush, 'Brush: ' + brushPresets[name].name + ' (B)');
+    if(brushPanel.elt.style.display !== 'none') brushPanelCreate();
+}
+
+// Show or hide the brush presets panel, with previews in the brush color
+function brushPanelToggle() {
+    if(brushPanel.elt.style.display === 'none') {
+        brushPanelCreate();
+        brushPanel.show();
+    } else {
+        brushPanel.hide();
+    }
+}
+
+// Generate the brush presets of the panel, each with its preview
+function brushPanelCreate() {
+    brushPanel.html('');
+    brushPanel.attribute('role', 'radiogroup');
+    brushPanel.attribute('aria-label', 'Brush presets');
+    for(let name in brushPresets) {
+        let row = createDiv();
+        row.parent(brushPanel);
+        row.addClass('panel-row');
+        if(name === brushPreset) row.addClass('active');
+        let preview = createImg(brushPreview(name), brushPresets[name].name);
+        preview.parent(row);
+        preview.size(120, 40);
+        preview.style('background', paperColor);
+        let label = createSpan('<i class="fas ' + brushPresets[name].icon + ' fa-fw"></i> ' + brushPresets[name].name);
+        label.parent(row);
+        label.addClass('panel-name');
+        row.attribute('title', 'Paint with this brush');
+        row.attribute('role', 'radio');
+        row.attribute('aria-checked', name === brushPreset ? 'true' : 'false');
+        row.attribute('tabindex', '0');
+        row.mousePressed(function() {
+            brushSet(name);
+            announce(brushPresets[name].name + ' brush');
+        });
+        
+        // Enter or Space select the focused brush preset
+        row.elt.addEventListener('keydown', function(event) {
+            if(event.key === 'Enter' || event.key === ' ') {
+                brushSet(name);
+                announce(brushPresets[name].name + ' brush');
+                event.preventDefault();
+            }
+        });
+    }
+}
+
+// Preview of a brush preset: a wavy stroke in the brush color (lifting it from a wash), as a data URL
+function brushPreview(name) {
+    
+    // Each preset has its own seed, then the randomness is seeded again as the next stroke would, so previews don't change the painting
+    let g = createGraphics(120, 40);
+    g.pixelDensity(1);
+    if(brushPresets[name].lift) {
+        let c = color(brushColor);
+        c.setAlpha(120);
+        g.noStroke();
+        g.fill(c);
+        g.rect(0, 0, g.width, g.height);
+    }
+    randomSeed(Object.keys(brushPresets).indexOf(name) + 1);
+    for(let x = 16; x <= 104; x += 4) {
+        paintStroke(g, {
+            x: x,
+            y: 20 + 6 * sin(x / 12),
+            color: brushColor,
+            radius: 8,
+            brush: name,
+            paper: {
+                edges: paper.edges,
+                granulation: 0,
+            },
+        });
+    }
+    randomSeed(recording.seed + recording.strokes);
+    let url = g.elt.toDataURL();
+    g.remove();
+    return url;
+}
+
+// Download canvas as image, using the export settings
+function canvasDownload() {
+    let transparent = exportTransparent && exportFormat !== 'jpg';
+    canvasRender(exportScale, transparent).toBlob(function(blob) {
+        
+        // Browsers without encoder for a format give a PNG instead
+        let extension = 'png';
+        for(let f in exportFormats) {
+            if(exportFormats[f] === blob.type) extension = f;
+        }
+        downloadBlob(blob, 'watercolor-' + new Date().getTime() + '.' + extension);
+    }, exportFormats[exportFormat], 0.95);
+}
+
+// Copy canvas to the clipboard as a PNG image
+function canvasCopy() {
+    if(! navigator.clipboard || ! window.ClipboardItem) {
+        console.log('Copying images to the clipboard is not supported by this browser');
+        return;
+    }
+    canvasRender(exportScale, exportTransparent).toBlob(function(blob) {
+        navigator.clipboard.write([
+            new ClipboardItem({
+                'image/png': blob,
+            }),
+        ]).catch(function(error) {
+            console.log(error);
+        });
+    }, 'image/png');
+}
+
+// Flatten the paper and the visible layers into a new canvas, re-rendering the recorded strokes if scaled
+function canvasRender(scale, transparent) {
+    let output = document.createElement('canvas'),
+        context = output.getContext('2d');
+    
+    // At screen size, just flatten the layers
+    if(scale === 1) {
+        output.width = activeLayer.buffer.elt.width;
+        output.height = activeLayer.buffer.elt.height;
+        layersDraw(context, output.width, output.height, transparent);
+        return output;
+    }
+    
+    // A stopped recording misses the last strokes, so the layers are just scaled
+    output.width = round(paintingWidth * scale);
+    output.height = round(paintingHeight * scale);
+    if(recording.stopped) {
+        layersDraw(context, output.width, output.height, transparent);
+        return output;
+    }
+    
+    // At higher scales, paint again every recorded stroke still in the painting, one layer at a time
+    // The buffer is created small, as it has the screen pixel density until set
+    let strokes = recordingStrokes(),
+        g = createGraphics(1, 1);
+    g.pixelDensity(1);
+    g.resizeCanvas(output.width, output.height);
+    context.save();
+    if(! transparent) paperDraw(context, output.width, output.height);
+    for(let i = 0; i < layers.length; i++) {
+        g.clear();
+        g.push();
+        g.scale(scale);
+        let frame = null;
+        for(let j = 0; j < strokes.length; j++) {
+            if(strokes[j].layer !== layers[i].id) continue;
+            
+            // Strokes mixed as pigments are mixed together by frame, as they were painted
+            if(strokes[j].frame !== frame) pigmentFlush();
+            frame = strokes[j].frame;
+            randomSeed(recording.seed + strokes[j].stroke);
+            paintStroke(g, strokes[j]);
+        }
+        pigmentFlush();
+        g.pop();
+        layers[i].draw(context, output.width, output.height, g.elt);
+    }
+    context.restore();
+    g.remove();
+    
+    // Seed the randomness again as the next stroke would, so re-rendering doesn't change the painting
+    randomSeed(recording.seed + recording.strokes);
+    return output;
+}
+
+// Download a blob as a file
+function downloadBlob(blob, filename) {
+    let a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+    setTimeout(function() {
+        URL.revokeObjectURL(a.href);
+    }, 1000);
+}
+
+// Show or hide the export dialog
+function exportPanelToggle() {
+    if(exportPanel.elt.style.display === 'none') {
+        exportPanel.show();
+    } else {
+        exportPanel.hide();
+    }
+}
+
+// Generate the export settings and actions of the export dialog
+function exportPanelCreate() {
+    
+    // Image format selector
+    let row = createDiv('Format');
+    row.parent(exportPanel);
+    row.addClass('panel-row');
+    row.addClass('panel-setting');
+    let format = createSelect();
+    format.parent(row);
+    for(let f in exportFormats) {
+        format.option(f.toUpperCase(), f);
+    }
+    format.selected(exportFormat);
+    format.changed(function() {
+        exportFormat = format.value();
+    });
+    
+    // Scale factor selector
+    row = createDiv('Scale');
+    row.parent(exportPanel);
+    row.addClass('panel-row');
+    row.addClass('panel-setting');
+    let scale = createSelect();
+    scale.parent(row);
+    scale.attribute('title', 'Higher scales paint the recorded strokes again (wet-on-wet bleeding is left out)');
+    scale.option('1x', 1);
+    scale.option('2x', 2);
+    scale.option('4x', 4);
+    scale.selected(exportScale);
+    scale.changed(function() {
+        exportScale = Number(scale.value());
+    });
+    
+    // Transparent background checkbox
+    row = createDiv();
+    row.parent(exportPanel);
+    row.addClass('panel-row');
+    let transparent = createCheckbox('Transparent background (PNG, WebP)', exportTransparent);
+    transparent.parent(row);
+    transparent.changed(function() {
+        exportTransparent = transparent.checked();
+    });
+    
+    // Image actions
+    row = createDiv();
+    row.parent(exportPanel);
+    row.addClass('panel-row');
+    let download = createButton('<i class="fas fa-download fa-fw"></i> Download');
+    download.parent(row);
+    download.mousePressed(canvasDownload);
+    let copy = createButton('<i class="fas fa-copy fa-fw"></i> Copy');
+    copy.parent(row);
+    copy.attribute('title', 'Copy to clipboard as PNG');
+    copy.mousePressed(canvasCopy);
+    
+    // Recording and project actions
+    row = createDiv();
+    row.parent(exportPanel);
+    row.addClass('panel-row');
+    let strokes = createButton('<i class="fas fa-file-export fa-fw"></i> Strokes');
+    strokes.parent(row);
+    strokes.attribute('title', 'Save stroke recording');
+    strokes.mousePressed(recordingSave);
+    let save = createButton('<i class="fas fa-save fa-fw"></i> Project');
+    save.parent(row);
+    save.attribute('title', 'Save layered project');
+    save.mousePressed(projectSave);
+    let open = createButton('<i class="fas fa-folder-open fa-fw"></i> Open');
+    open.parent(row);
+    open.attribute('title', 'Open layered project');
+    open.mousePressed(function() {
+        projectInput.elt.click();
+    });
+}
+
+// Serialize the painting as a layered project (layer pixels, settings and stroke recording)
+// For the gallery, the layer pixels are left to be encoded as blobs, and long stroke recordings are left out
+function projectSerialize(forGallery) {
+    let events = recording.events;
+    if(forGallery) events = events.length > galleryEventsMax ? [] : events.slice();
+    let project = {
+        version: 1,
+        width: paintingWidth,
+        height: paintingHeight,
+        paperColor: paperColor,
+        paper: paper,
+        brushRadius: brushRadius,
+        brushPreset: brushPreset,
+        colors: colors,
+        colorNames: colorNames,
+        wet: wet,
+        pigmentMixing: pigmentMixing,
+        wetness: wetness,
+        dryingTime: dryingTime,
+        layersCount: layersCount,
+        activeLayer: activeLayer.id,
+        layers: [],
+        recording: {
+            seed: recording.seed,
+            strokes: recording.strokes,
+            events: events,
+            stopped: recording.stopped || events.length < recording.events.length,
+        },
+    };
+    for(let i = 0; i < layers.length; i++) {
+        project.layers.push({
+            id: layers[i].id,
+            name: layers[i].name,
+            visible: layers[i].visible,
+            opacity: layers[i].opacity,
+            blend: layers[i].blend,
+            pixels: forGallery ? null : layers[i].buffer.elt.toDataURL('image/png'),
+        });
+    }
+    return project;
+}
+
+// Download the painting as a layered project file
+function projectSave() {
+    saveJSON(projectSerialize(), 'watercolor-project-' + new Date().getTime() + '.json');
+}
+
+// Read a project file chosen in the file input and open it, unless it isn't a valid project
+function projectLoad(file) {
+    file.file.text().then(function(text) {
+        let project = JSON.parse(text),
+            error = projectCheck(project);
+        if(error) throw new Error(error);
+        if(painting.dirty) paintingSave();
+        projectOpen(project);
+        paintingNew(file.name.replace(/\.json$/, ''));
+        painting.dirty = true;
+    }).catch(function(error) {
+        console.log(error);
+        alert('"' + file.name + '" can\'t be opened as a layered project: ' + error.message);
+    });
+    
+    // Let the same file be chosen again
+    projectInput.elt.value = '';
+}
+
+// Check the structure and settings of a layered project before opening it, returning what's wrong (or null if valid)
+function projectCheck(project) {
+    if(! project || typeof project !== 'object') return 'not a project';
+    if(! Array.isArray(project.layers) || project.layers.length === 0) return 'no layers';
+    if(! (project.width > 0 && project.height > 0)) return 'no painting size';
+    if(! colorCheck(project.paperColor)) return 'no paper color';
+    if(project.paper !== undefined && ! paperCheck(project.paper)) return 'no paper settings';
+    if(! numberInRange(project.brushRadius, 8, 64)) return 'no brush size';
+    if(typeof project.wet !== 'boolean' || ! numberInRange(project.wetness, 0, 1) || ! numberInRange(project.dryingTime, 1, 15)) return 'no wet-on-wet settings';
+    if(typeof project.layersCount !== 'number' || typeof project.activeLayer !== 'number') return 'no layer count';
+    for(let i = 0; i < project.layers.length; i++) {
+        let layer = project.layers[i];
+        if(! layer || ! (layer.pixels instanceof Blob) && (typeof layer.pixels !== 'string' || layer.pixels.indexOf('data:image/') !== 0)) return 'layer ' + (i + 1) + ' has no image data';
+        if(typeof layer.id !== 'number' || layer.id > project.layersCount || typeof layer.name !== 'string') return 'layer ' + (i + 1) + ' has no id or name';
+        if(typeof layer.visible !== 'boolean' || ! numberInRange(layer.opacity, 0, 1) || ! layerBlendModes[layer.blend]) return 'layer ' + (i + 1) + ' has no visibility, opacity or blend mode';
+    }
+    if(! Array.isArray(project.colors) || project.colors.length === 0 || ! project.colors.every(colorCheck)) return 'no color palette';
+    if(project.colorNames !== undefined && (! Array.isArray(project.colorNames) || ! project.colorNames.every(function(name) {
+        return typeof name === 'string';
+    }))) return 'no color names';
+    if(! project.recording || ! Array.isArray(project.recording.events)) return 'no stroke recording';
+    return recordingCheck(project.recording);
+}
+
+// Whether a value is a number within a range
+function numberInRange(value, low, high) {
+    return typeof value === 'number' && value >= low && value <= high;
+}
+
+// Whether a value is a hex color (#rrggbb)
+function colorCheck(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+// Open a layered project, replacing the painting
+function projectOpen(project) {
+    replay = null;
+    paintHistory = null;
+    wetToggle(false);
+    layersReset();
+    canvasReset();
+    
+    // Settings
+    paletteSet(project.colors, project.colorNames);
+    paperColor = project.paperColor;
+    if(project.paper) paper = project.paper;
+    paperPanelCreate();
+    brushRadius = project.brushRadius;
+    changeBrushSize(0);
+    brushSet(project.brushPreset || 'watercolor');
+    wetness = project.wetness;
+    dryingTime = project.dryingTime;
+    wetPanelCreate();
+    
+    // Layers, drawing their pixels once loaded
+    layers[0].buffer.remove();
+    layers = [];
+    for(let i = 0; i < project.layers.length; i++) {
+        let layer = new Layer(),
+            pixels = new Image();
+        layer.id = project.layers[i].id;
+        layer.name = project.layers[i].name;
+        layer.visible = project.layers[i].visible;
+        layer.opacity = project.layers[i].opacity;
+        layer.blend = project.layers[i].blend;
+        pixels.onload = function() {
+            layer.buffer.drawingContext.drawImage(pixels, 0, 0, paintingWidth, paintingHeight);
+            imageRelease(pixels);
+        };
+        pixels.src = imageUrl(project.layers[i].pixels);
+        layers.push(layer);
+    }
+    layersCount = project.layersCount;
+    activeLayer = layerById(project.activeLayer) || layers[layers.length - 1];
+    
+    // Keep recording after the recorded strokes
+    recording = {
+        seed: project.recording.seed,
+        frame: frameCount - (project.recording.events.length ? project.recording.events[project.recording.events.length - 1].frame : 0),
+        strokes: project.recording.strokes,
+        events: project.recording.events,
+        stopped: !! project.recording.stopped,
+    };
+    
+    paintHistory = new PaintHistory(historyLevels);
+    wetToggle(project.wet);
+    pigmentToggle(!! project.pigmentMixing);
+    layerPanelUpdate();
+}
+
+// Set canvas original state
+function canvasReset() {
+    
+    // Let the reset be undone, except when starting the canvas
+    if(paintHistory) {
+        
+        // Save the painting in the gallery, and start a new one
+        if(! replay) {
+            if(painting.dirty) paintingSave();
+            paintingNew();
+        }
+        
+        paintHistory.close();
+        paintHistory.checkpoint();
+        recordEvent({
+            type: 'reset',
+        });
+    }
+    
+    wetStrokes = [];
+    for(let i = 0; i < layers.length; i++) {
+        layers[i].buffer.clear();
+    }
+    brushColor = random(colors);
+    colorPicker(brushColor);
+}
+
+// Ask before resetting a painting with unsaved changes
+function canvasResetConfirm() {
+    if(painting.dirty && ! confirm(gallery ? 'Start a new painting? The current one will be saved in the gallery.' : 'Start a new painting? The current one will be lost.')) return;
+    canvasReset();
+}
+
+// Undo the last painting action
+function canvasUndo() {
+    wetStrokes = [];
+    if(paintHistory.undo()) {
+        recordEvent({
+            type: 'undo',
+        });
+    }
+}
+
+// Redo the last undone painting action
+function canvasRedo() {
+    wetStrokes = [];
+    if(paintHistory.redo()) {
+        recordEvent({
+            type: 'redo',
+        });
+    }
+}
+
+// Copy the layer stack, with the pixels of every layer, into offscreen canvases
+function canvasSnapshot() {
+    pigmentFlush();
+    let snapshot = {
+        layers: [],
+        active: activeLayer,
+    };
+    for(let i = 0; i < layers.length; i++) {
+        let pixels = document.createElement('canvas');
+        pixels.width = layers[i].buffer.elt.width;
+        pixels.height = layers[i].buffer.elt.height;
+        pixels.getContext('2d').drawImage(layers[i].buffer.elt, 0, 0);
+        snapshot.layers.push({
+            layer: layers[i],
+            pixels: pixels,
+        });
+    }
+    return snapshot;
+}
+
+// Bytes of memory held by a snapshot
+function canvasSnapshotBytes(snapshot) {
+    let bytes = 0;
+    for(let i = 0; i < snapshot.layers.length; i++) {
+        bytes += snapshot.layers[i].pixels.width * snapshot.layers[i].pixels.height * 4;
+    }
+    return bytes;
+}
+
+// Restore the layer stack of a snapshot with the pixels of its layers, bringing back the deleted ones and removing the added ones
+function canvasRestore(snapshot) {
+    let stack = [];
+    for(let i = 0; i < snapshot.layers.length; i++) {
+        let layer = snapshot.layers[i].layer;
+        if(layers.indexOf(layer) < 0) layer.buffer = createGraphics(paintingWidth, paintingHeight);
+        let g = layer.buffer;
+        g.push();
+        g.resetMatrix();
+        g.clear();
+        g.drawingContext.drawImage(snapshot.layers[i].pixels, 0, 0, paintingWidth, paintingHeight);
+        g.pop();
+        stack.push(layer);
+    }
+    for(let i = 0; i < layers.length; i++) {
+        if(stack.indexOf(layers[i]) < 0) layers[i].buffer.remove();
+    }
+    layers = stack;
+    activeLayer = snapshot.active;
+    layerPanelUpdate();
+}
+
+// Draw the paper (unless transparent) and the visible layers, from bottom to top, on a canvas context of the given size
+function layersDraw(context, w, h, transparent) {
+    context.save();
+    if(! transparent) paperDraw(context, w, h);
+    for(let i = 0; i < layers.length; i++) {
+        layers[i].draw(context, w, h);
+    }
+    context.restore();
+}
+
+// Show the painting layers on the main canvas
+function layersComposite() {
+    drawingContext.clearRect(0, 0, width, height);
+    drawingContext.save();
+    drawingContext.translate(viewX, viewY);
+    layersDraw(drawingContext, paintingWidth * viewScale, paintingHeight * viewScale);
+    drawingContext.restore();
+}
+
+// Remove every layer and start again with a single empty one
+function layersReset() {
+    for(let i = 0; i < layers.length; i++) {
+        layers[i].buffer.remove();
+    }
+    layers = [];
+    layersCount = 0;
+    activeLayer = new Layer();
+    layers.push(activeLayer);
+    layerPanelUpdate();
+}
+
+// Find a layer by its id
+function layerById(id) {
+    for(let i = 0; i < layers.length; i++) {
+        if(layers[i].id === id) return layers[i];
+    }
+    return null;
+}
+
+// Let a change of the layer stack be undone as a painting action of its own (replays record their own actions)
+function layerCheckpoint() {
+    paintHistory.close();
+    if(! replay) paintHistory.track();
+    paintHistory.close();
+}
+
+// Add a new layer at a position of the stack (on top of the active one if not specified) and make it active
+function layerAdd(index) {
+    if(index === undefined) index = layers.indexOf(activeLayer) + 1;
+    layerCheckpoint();
+    let layer = new Layer();
+    layers.splice(index, 0, layer);
+    activeLayer = layer;
+    recordEvent({
+        type: 'layer',
+        action: 'add',
+        index: index,
+    });
+    layerPanelUpdate();
+}
+
+// Delete a layer, keeping at least one
+function layerDelete(layer) {
+    if(layers.length < 2) return;
+    layerCheckpoint();
+    let i = layers.indexOf(layer);
+    layers.splice(i, 1);
+    layer.buffer.remove();
+    if(activeLayer === layer) activeLayer = layers[max(0, i - 1)];
+    recordEvent({
+        type: 'layer',
+        action: 'delete',
+        layer: layer.id,
+    });
+    layerPanelUpdate();
+}
+
+// Move a layer up (1) or down (-1) in the stack
+function layerMove(layer, direction) {
+    let i = layers.indexOf(layer),
+        j = i + direction;
+    if(j < 0 || j >= layers.length) return;
+    layerCheckpoint();
+    layers[i] = layers[j];
+    layers[j] = layer;
+    recordEvent({
+        type: 'layer',
+        action: 'move',
+        layer: layer.id,
+        direction: direction,
+    });
+    layerPanelUpdate();
+}
+
+// Change the visibility, opacity or blend mode of a layer
+function layerUpdate(layer, properties) {
+    if(properties.visible !== undefined) layer.visible = properties.visible;
+    if(properties.opacity !== undefined) layer.opacity = constrain(properties.opacity, 0, 1);
+    if(properties.blend !== undefined && layerBlendModes[properties.blend]) layer.blend = properties.blend;
+    recordEvent({
+        type: 'layer',
+        action: 'update',
+        layer: layer.id,
+        properties: properties,
+    });
+}
+
+// Show or hide the layer panel
+function layerPanelToggle() {
+    if(layerPanel.elt.style.display === 'none') {
+        layerPanelUpdate();
+        layerPanel.show();
+    } else {
+        layerPanel.hide();
+    }
+}
+
+// Rebuild the layer panel, listing layers from top to bottom
+function layerPanelUpdate() {
+    if(! layerPanel) return;
+    layerPanel.html('');
+    
+    // Add layer button
+    let add = createButton('<i class="fas fa-plus fa-fw"></i> Add layer');
+    add.parent(layerPanel);
+    add.mousePressed(function() {
+        layerAdd();
+    });
+    
+    for(let i = layers.length - 1; i >= 0; i--) {
+        let layer = layers[i],
+            row = createDiv();
+        row.parent(layerPanel);
+        row.addClass('panel-row');
+        if(layer === activeLayer) row.addClass('active');
+        
+        // Layer name, selects the layer as active (by click, Enter or Space), keeping the focus on it
+        let name = createButton('');
+        name.elt.textContent = layer.name;
+        name.parent(row);
+        name.addClass('panel-name');
+        name.attribute('title', 'Paint on this layer');
+        name.attribute('aria-pressed', layer === activeLayer ? 'true' : 'false');
+        name.mouseClicked(function() {
+            let focused = document.activeElement === name.elt;
+            activeLayer = layer;
+            layerPanelUpdate();
+            if(focused) layerPanel.elt.querySelector('.active > .panel-name').focus();
+            announce('Painting on ' + layer.name);
+        });
+        
+        // Visibility toggle
+        let visibility = createButton('<i class="fas ' + (layer.visible ? 'fa-eye' : 'fa-eye-slash') + ' fa-fw"></i>');
+        visibility.parent(row);
+        visibility.attribute('title', layer.visible ? 'Hide layer' : 'Show layer');
+        visibility.mousePressed(function() {
+            layerUpdate(layer, {
+                visible: ! layer.visible,
+            });
+            layerPanelUpdate();
+        });
+        
+        // Move up, move down and delete buttons
+        let up = createButton('<i class="fas fa-arrow-up fa-fw"></i>');
+        up.parent(row);
+        up.attribute('title', 'Move layer up');
+        up.mousePressed(function() {
+            layerMove(layer, 1);
+        });
+        let down = createButton('<i class="fas fa-arrow-down fa-fw"></i>');
+        down.parent(row);
+        down.attribute('title', 'Move layer down');
+        down.mousePressed(function() {
+            layerMove(layer, -1);
+        });
+        let remove = createButton('<i class="fas fa-trash fa-fw"></i>');
+        remove.parent(row);
+        remove.attribute('title', 'Delete layer');
+        if(layers.length < 2) remove.attribute('disabled', '');
+        remove.mousePressed(function() {
+            layerDelete(layer);
+        });
+        
+        // Opacity slider, recorded once the change is done
+        let opacity = createSlider(0, 100, round(layer.opacity * 100));
+        opacity.parent(row);
+        opacity.attribute('title', 'Layer opacity');
+        opacity.input(function() {
+            layer.opacity = opacity.value() / 100;
+        });
+        opacity.changed(function() {
+            layerUpdate(layer, {
+                opacity: opacity.value() / 100,
+            });
+        });
+        
+        // Blend mode selector
+        let blend = createSelect();
+        blend.parent(row);
+        blend.attribute('title', 'Layer blend mode');
+        for(let mode in layerBlendModes) {
+            blend.option(mode);
+        }
+        blend.selected(layer.blend);
+        blend.changed(function() {
+            layerUpdate(layer, {
+                blend: blend.value(),
+            });
+        });
+    }
+}
+
+// Start a new recording of the painting session, using a random seed for the strokes
+function recordingStart(seed) {
+    recording = {
+        seed: seed,
+        frame: frameCount,
+        strokes: 0,
+        events: [],
+        stopped: false,
+    };
+    
+    // The paper the recording starts with, as it changes how strokes are painted
+    recording.events.push(paperEvent());
+}
+
+// Frames since the recording started (or recorded frame being replayed)
+function sessionFrame() {
+    return replay ? replay.frame : frameCount - recording.frame;
+}
+
+// Add an input event to the recording, timed in frames since the recording started, unless the recording stopped
+function recordEvent(e) {
+    e.frame = sessionFrame();
+    if(recording.events.length >= recordingMax && ! recording.stopped) {
+        recording.stopped = true;
+        console.log('The stroke recording stopped at ' + recordingMax + ' events');
+    }
+    if(! recording.stopped) recording.events.push(e);
+    painting.dirty = true;
+}
+
+// Download the stroke recording as a JSON file
+function recordingSave() {
+    if(recording.stopped) alert('The stroke recording stopped at ' + recordingMax + ' events, or was left out of the gallery, so it replays only part of the painting.');
+    saveJSON({
+        version: 1,
+        seed: recording.seed,
+        width: paintingWidth,
+        height: paintingHeight,
+        frameRate: drawFrameRate,
+        events: recording.events,
+    }, 'watercolor-' + new Date().getTime() + '.json');
+}
+
+// Read a stroke recording chosen in the file input and replay it, unless it isn't a valid recording
+function recordingLoad(file) {
+    file.file.text().then(function(text) {
+        let data = JSON.parse(text),
+            error = recordingCheck(data);
+        if(error) throw new Error(error);
+        recordingReplay(data);
+    }).catch(function(error) {
+        console.log(error);
+        alert('"' + file.name + '" can\'t be replayed as a stroke recording: ' + error.message);
+    });
+    
+    // Let the same file be chosen again
+    recordingInput.elt.value = '';
+}
+
+// Check the structure of a stroke recording before replaying it, returning what's wrong (or null if valid)
+function recordingCheck(data) {
+    if(! data || typeof data !== 'object') return 'not a recording';
+    if(typeof data.seed !== 'number') return 'no random seed';
+    if(! Array.isArray(data.events)) return 'no recorded events';
+    for(let i = 0; i < data.events.length; i++) {
+        let e = data.events[i];
+        if(! e || typeof e.type !== 'string' || typeof e.frame !== 'number') return 'event ' + (i + 1) + ' has no type or frame';
+        if(e.type === 'paint' && (typeof e.x !== 'number' || typeof e.y !== 'number')) return 'stroke ' + (i + 1) + ' has no position';
+        if(e.type === 'paper' && (! paperCheck(e) || ! colorCheck(e.color))) return 'event ' + (i + 1) + ' has no paper settings';
+        if(e.type === 'wet' && (typeof e.enabled !== 'boolean' || ! numberInRange(e.wetness, 0, 1) || ! numberInRange(e.dryingTime, 1, 15))) return 'event ' + (i + 1) + ' has no wet-on-wet settings';
+    }
+    return null;
+}
+
+// Replay a stroke recording from a blank canvas, recording it again as the current session
+function recordingReplay(data) {
+    if(painting.dirty) paintingSave();
+    paintingNew();
+    paintHistory = null;
+    layersReset();
+    canvasReset();
+    paintHistory = new PaintHistory(historyLevels);
+    recordingStart(data.seed);
+    replay = {
+        events: data.events,
+        index: 0,
+        start: frameCount,
+        frame: 0,
+        speed: replayTimelapse ? replayTimelapseSpeed : 1,
+        brushPreset: brushPreset,
+    };
+}
+
+// List the recorded strokes still in the painting, replaying the painting actions, undos, redos and resets
+function recordingStrokes() {
+    
+    // The painting is a linked list of strokes from the last one, so history checkpoints are just the last stroke
+    let last = null,
+        undoStack = [],
+        redoStack = [],
+        stroke = 0,
+        paperState;
+    for(let i = 0; i < recording.events.length; i++) {
+        let e = recording.events[i];
+        if(e.type === 'paper') {
+            paperState = e;
+        } else if(e.type === 'paint') {
+            last = {
+                event: Object.assign({
+                    stroke: stroke,
+                    paper: paperState,
+                }, e),
+                previous: last,
+            };
+            stroke++;
+        } else if(e.type === 'action' || e.type === 'reset') {
+            undoStack.push(last);
+            if(undoStack.length > historyLevels) undoStack.shift();
+            redoStack = [];
+            if(e.type === 'reset') last = null;
+        } else if(e.type === 'undo' && undoStack.length > 0) {
+            redoStack.push(last);
+            last = undoStack.pop();
+        } else if(e.type === 'redo' && redoStack.length > 0) {
+            undoStack.push(last);
+            last = redoStack.pop();
+        }
+    }
+    
+    // Walk the list back to the first stroke
+    let strokes = [];
+    for(let s = last; s; s = s.previous) {
+        strokes.push(s.event);
+    }
+    return strokes.reverse();
+}
+
+// Apply every recorded event due at the current replay frame
+function replayUpdate() {
+    replay.frame = floor((frameCount - replay.start) * replay.speed);
+    while(replay.index < replay.events.length && replay.events[replay.index].frame <= replay.frame) {
+        let e = replay.events[replay.index];
+        replay.index++;
+        if(e.type === 'paint') {
+            activeLayer = layerById(e.layer) || activeLayer;
+            if(!! e.pigment !== pigmentMixing) pigmentToggle(!! e.pigment);
+            if((e.brush || 'watercolor') !== brushPreset) brushSet(e.brush || 'watercolor');
+            paint(e, e.source, e.color, e.radius, e.load, e.opacity);
+        } else if(e.type === 'action') {
+            paintHistory.checkpoint();
+            recordEvent({
+                type: 'action',
+            });
+        } else if(e.type === 'undo') {
+            canvasUndo();
+        } else if(e.type === 'redo') {
+            canvasRedo();
+        } else if(e.type === 'reset') {
+            canvasReset();
+        } else if(e.type === 'layer') {
+            replayLayer(e);
+        } else if(e.type === 'paper') {
+            paperSet(e);
+        } else if(e.type === 'wet') {
+            wetness = e.wetness;
+            dryingTime = e.dryingTime;
+            wetToggle(e.enabled);
+            wetPanelCreate();
+        }
+    }
+    
+    // Stop replaying when every event has been applied, back to the brush preset chosen before
+    if(replay.index >= replay.events.length) {
+        brushSet(replay.brushPreset);
+        replay = null;
+    }
+}
+
+// Apply a recorded layer event
+function replayLayer(e) {
+    let layer = layerById(e.layer);
+    if(e.action === 'add') {
+        layerAdd(e.index);
+    } else if(layer && e.action === 'delete') {
+        layerDelete(layer);
+    } else if(layer && e.action === 'move') {
+        layerMove(layer, e.direction);
+    } else if(layer && e.action === 'update') {
+        layerUpdate(layer, e.properties);
+        layerPanelUpdate();
+    }
+}
+
+
+// Start a new painting in progress, not saved in the gallery yet
+function paintingNew(name) {
+    let now = new Date();
+    painting = {
+        id: null,
+        name: name || 'Painting ' + now.toLocaleString(),
+        created: now.getTime(),
+        dirty: false,
+    };
+}
+
+// Open the IndexedDB database where paintings are saved
+function galleryOpen() {
+    if(! window.indexedDB) return;
+    let request = indexedDB.open('watercolor', 1);
+    request.onupgradeneeded = function() {
+        request.result.createObjectStore('paintings', {
+            keyPath: 'id',
+            autoIncrement: true,
+        });
+    };
+    request.onsuccess = function() {
+        gallery = request.result;
+    };
+    request.onerror = function() {
+        console.log(request.error);
+    };
+}
+
+// Save the painting in progress in the gallery, with a thumbnail
+// The layers and the thumbnail are encoded as image blobs off the render loop, so autosaves don't stall painting
+function paintingSave(callback) {
+    if(! gallery) return;
+    
+    // Serialize now, as the painting may change before the images are encoded
+    let p = painting,
+        project = projectSerialize(true),
+        thumbnail = document.createElement('canvas'),
+        images = [];
+    thumbnail.width = 160;
+    thumbnail.height = round(160 * paintingHeight / paintingWidth);
+    layersDraw(thumbnail.getContext('2d'), thumbnail.width, thumbnail.height);
+    images.push(canvasBlob(thumbnail, 'image/jpeg', 0.8));
+    for(let i = 0; i < layers.length; i++) {
+        images.push(canvasBlob(layers[i].buffer.elt, 'image/png'));
+    }
+    
+    // Take the id now (its creation time), so saves made before the first one is done update the same record
+    if(p.id === null) p.id = p.created;
+    p.dirty = false;
+    let record = {
+        id: p.id,
+        name: p.name,
+        created: p.created,
+        updated: new Date().getTime(),
+        project: project,
+    };
+    
+    Promise.all(images).then(function(blobs) {
+        record.thumbnail = blobs[0];
+        for(let i = 0; i < project.layers.length; i++) {
+            project.layers[i].pixels = blobs[i + 1];
+        }
+        let request = gallery.transaction('paintings', 'readwrite').objectStore('paintings').put(record);
+        request.onsuccess = function() {
+            if(callback) callback();
+        };
+        request.onerror = function() {
+            p.dirty = true;
+            console.log(request.error);
+        };
+    }).catch(function(error) {
+        p.dirty = true;
+        console.log(error);
+    });
+}
+
+// Encode the pixels of a canvas as an image blob, asynchronously
+function canvasBlob(canvas, type, quality) {
+    return new Promise(function(resolve, reject) {
+        canvas.toBlob(function(blob) {
+            if(blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('The canvas can\'t be encoded as ' + type));
+            }
+        }, type, quality);
+    });
+}
+
+// Address of an image saved as a data URL or as a blob (released with imageRelease once loaded)
+function imageUrl(image) {
+    return typeof image === 'string' ? image : URL.createObjectURL(image);
+}
+
+// Release the blob address of a loaded image
+function imageRelease(img) {
+    if(img.src.indexOf('blob:') === 0) URL.revokeObjectURL(img.src);
+}
+
+// Autosave the painting in progress if it has unsaved changes
+function autosave() {
+    if(painting.dirty && ! replay) paintingSave(galleryPanelUpdate);
+}
+
+// Show or hide the gallery panel
+function galleryPanelToggle() {
+    if(galleryPanel.elt.style.display === 'none') {
+        galleryPanelUpdate();
+        galleryPanel.show();
+    } else {
+        galleryPanel.hide();
+    }
+}
+
+// Rebuild the gallery panel, listing the saved paintings from newest to oldest
+function galleryPanelUpdate() {
+    if(! gallery || galleryPanel.elt.style.display === 'none') return;
+    let request = gallery.transaction('paintings').objectStore('paintings').getAll();
+    request.onsuccess = function() {
+        let paintings = request.result.sort(function(a, b) {
+            return b.updated - a.updated;
+        });
+        galleryPanel.html('');
+        
+        // Save now button
+        let save = createButton('<i class="fas fa-save fa-fw"></i> Save now');
+        save.parent(galleryPanel);
+        save.mousePressed(function() {
+            paintingSave(galleryPanelUpdate);
+        });
+        
+        for(let i = 0; i < paintings.length; i++) {
+            let record = paintings[i],
+                row = createDiv();
+            row.parent(galleryPanel);
+            row.addClass('panel-row');
+            if(record.id === painting.id) row.addClass('active');
+            
+            // Thumbnail and name
+            let thumbnail = createImg(imageUrl(record.thumbnail), record.name);
+            thumbnail.elt.onload = function() {
+                imageRelease(thumbnail.elt);
+            };
+            thumbnail.parent(row);
+            thumbnail.size(80, AUTO);
+            let name = createButton(''),
+                updated = createElement('small');
+            name.elt.textContent = record.name;
+            name.parent(row);
+            updated.elt.textContent = new Date(record.updated).toLocaleString();
+            createElement('br').parent(name);
+            updated.parent(name);
+            name.addClass('panel-name');
+            name.attribute('title', 'Open painting');
+            name.mouseClicked(function() {
+                paintingOpen(record.id);
+            });
+            
+            // Rename and delete buttons
+            let rename = createButton('<i class="fas fa-pen fa-fw"></i>');
+            rename.parent(row);
+            rename.attribute('title', 'Rename painting');
+            rename.mousePressed(function() {
+                let newName = prompt('Painting name', record.name);
+                if(newName) paintingRename(record.id, newName);
+            });
+            let remove = createButton('<i class="fas fa-trash fa-fw"></i>');
+            remove.parent(row);
+            remove.attribute('title', 'Delete painting');
+            remove.mousePressed(function() {
+                if(confirm('Delete "' + record.name + '" from the gallery?')) paintingDelete(record.id);
+            });
+        }
+    };
+}
+
+// Open a painting saved in the gallery, saving the painting in progress first
+function paintingOpen(id) {
+    if(painting.dirty) paintingSave();
+    let request = gallery.transaction('paintings').objectStore('paintings').get(id);
+    request.onsuccess = function() {
+        let record = request.result,
+            error = record ? projectCheck(record.project) : 'not in the gallery';
+        if(error) {
+            alert('The painting can\'t be opened: ' + error);
+            return;
+        }
+        projectOpen(record.project);
+        painting = {
+            id: record.id,
+            name: record.name,
+            created: record.created,
+            dirty: false,
+        };
+        galleryPanelUpdate();
+    };
+}
+
+// Rename a painting saved in the gallery
+function paintingRename(id, name) {
+    if(painting.id === id) painting.name = name;
+    let store = gallery.transaction('paintings', 'readwrite').objectStore('paintings'),
+        request = store.get(id);
+    request.onsuccess = function() {
+        request.result.name = name;
+        store.put(request.result).onsuccess = galleryPanelUpdate;
+    };
+}
+
+// Delete a painting from the gallery, the painting in progress is kept as a new one
+function paintingDelete(id) {
+    if(painting.id === id) {
+        painting.id = null;
+        painting.dirty = true;
+    }
+    gallery.transaction('paintings', 'readwrite').objectStore('paintings').delete(id).onsuccess = galleryPanelUpdate;
+}
+
+// Paper settings as a recorded event
+function paperEvent() {
+    return {
+        type: 'paper',
+        frame: sessionFrame(),
+        texture: paper.texture,
+        granulation: paper.granulation,
+        edges: paper.edges,
+        color: paperColor,
+    };
+}
+
+// Whether paper settings (of a project or a recorded event) are valid
+function paperCheck(settings) {
+    return !! settings && paperTextures[settings.texture] !== undefined && numberInRange(settings.granulation, 0, 1) && numberInRange(settings.edges, 0, 1);
+}
+
+// Change the paper settings, recording them
+function paperSet(settings) {
+    paper = {
+        texture: settings.texture,
+        granulation: settings.granulation,
+        edges: settings.edges,
+    };
+    paperColor = settings.color;
+    recordEvent(paperEvent());
+    paperPanelCreate();
+    paletteUpdate();
+}
+
+// Generate (once) the tileable grain of a paper texture: a shading tile for the paper, and a peaks tile for the granulation
+function paperTile(texture) {
+    
+    // The grain is seeded by the recording, so replays and exports get the same paper
+    let key = texture + ' ' + recording.seed;
+    if(paperTiles[key]) return paperTiles[key];
+    noiseSeed(recording.seed);
+    let t = paperTextures[texture],
+        size = 256,
+        shading = document.createElement('canvas'),
+        peaks = document.createElement('canvas');
+    shading.width = shading.height = peaks.width = peaks.height = size;
+    let shadingPixels = shading.getContext('2d').createImageData(size, size),
+        peaksPixels = peaks.getContext('2d').createImageData(size, size);
+    for(let y = 0; y < size; y++) {
+        for(let x = 0; x < size; x++) {
+            
+            // Blend the noise with its copies one tile away, so the tile repeats seamlessly
+            let u = x / size,
+                v = y / size,
+                n = noise(x * t.scale, y * t.scale) * (1 - u) * (1 - v)
+                    + noise((x - size) * t.scale, y * t.scale) * u * (1 - v)
+                    + noise(x * t.scale, (y - size) * t.scale) * (1 - u) * v
+                    + noise((x - size) * t.scale, (y - size) * t.scale) * u * v,
+                grain = constrain((n - 0.5) * t.contrast + 0.5, 0, 1),
+                i = (y * size + x) * 4;
+            
+            // Valleys are shaded, peaks hold less pigment
+            shadingPixels.data[i] = shadingPixels.data[i + 1] = shadingPixels.data[i + 2] = 255 * (1 - t.strength * (1 - grain));
+            shadingPixels.data[i + 3] = 255;
+            peaksPixels.data[i + 3] = 255 * grain * grain;
+        }
+    }
+    shading.getContext('2d').putImageData(shadingPixels, 0, 0);
+    peaks.getContext('2d').putImageData(peaksPixels, 0, 0);
+    paperTiles[key] = {
+        shading: shading,
+        peaks: peaks,
+    };
+    return paperTiles[key];
+}
+
+// Pattern of a paper texture tile on a canvas context, scaled so the grain keeps its size on the painting
+function paperPattern(context, tile, scale) {
+    let pattern = context.createPattern(tile, 'repeat');
+    pattern.setTransform(new DOMMatrix([scale, 0, 0, scale, 0, 0]));
+    return pattern;
+}
+
+// Draw the tinted paper, with its texture shading, on a canvas context of the given size (drawn once while the paper doesn't change)
+function paperDraw(context, w, h) {
+    let scale = context.getTransform().a,
+        key = [w, h, scale, paperColor, paper.texture, recording.seed].join(' ');
+    if(! paperCache || paperCache.key !== key) {
+        let canvas = document.createElement('canvas'),
+            paperContext = canvas.getContext('2d');
+        canvas.width = max(1, round(w * scale));
+        canvas.height = max(1, round(h * scale));
+        paperContext.scale(scale, scale);
+        paperContext.fillStyle = paperColor;
+        paperContext.fillRect(0, 0, w, h);
+        if(paperTextures[paper.texture]) {
+            paperContext.globalCompositeOperation = 'multiply';
+            paperContext.fillStyle = paperPattern(paperContext, paperTile(paper.texture).shading, w / paintingWidth);
+            paperContext.fillRect(0, 0, w, h);
+        }
+        paperCache = {
+            key: key,
+            canvas: canvas,
+        };
+    }
+    context.drawImage(paperCache.canvas, 0, 0, w, h);
+}
+
+// Remove some pigment of a stroke on the paper grain peaks, so it settles in the valleys
+function paperGranulate(g, strokes, settings) {
+    let bounds = strokesBounds(strokes),
+        context = g.drawingContext;
+    context.save();
+    context.globalCompositeOperation = 'destination-out';
+    context.globalAlpha = 0.05 * settings.granulation;
+    context.fillStyle = paperPattern(context, paperTile(settings.texture).peaks, 1);
+    context.fillRect(bounds.x1, bounds.y1, bounds.x2 - bounds.x1, bounds.y2 - bounds.y1);
+    context.restore();
+}
+
+// Show or hide the paper settings panel
+function paperPanelToggle() {
+    if(paperPanel.elt.style.display === 'none') {
+        paperPanel.show();
+    } else {
+        paperPanel.hide();
+    }
+}
+
+// Generate the texture, tint, granulation and edge darkening controls of the paper settings panel
+function paperPanelCreate() {
+    if(! paperPanel) return;
+    paperPanel.html('');
+    
+    // Texture selector
+    let row = createDiv('Texture');
+    row.parent(paperPanel);
+    row.addClass('panel-row');
+    row.addClass('panel-setting');
+    let texture = createSelect();
+    texture.parent(row);
+    for(let t in paperTextures) {
+        texture.option(t);
+    }
+    texture.selected(paper.texture);
+    texture.changed(function() {
+        paperSet(Object.assign(paperEvent(), {
+            texture: texture.value(),
+        }));
+    });
+    
+    // Tint color picker
+    row = createDiv('Tint');
+    row.parent(paperPanel);
+    row.addClass('panel-row');
+    row.addClass('panel-setting');
+    let tint = createColorPicker(paperColor);
+    tint.parent(row);
+    tint.changed(function() {
+        paperSet(Object.assign(paperEvent(), {
+            color: tint.value(),
+        }));
+    });
+    
+    // Granulation slider
+    row = createDiv('Granulation');
+    row.parent(paperPanel);
+    row.addClass('panel-row');
+    let granulation = createSlider(0, 100, round(paper.granulation * 100));
+    granulation.parent(row);
+    granulation.attribute('title', 'How much pigment settles in the paper grain');
+    granulation.changed(function() {
+        paperSet(Object.assign(paperEvent(), {
+            granulation: granulation.value() / 100,
+        }));
+    });
+    
+    // Edge darkening slider
+    row = createDiv('Edges');
+    row.parent(paperPanel);
+    row.addClass('panel-row');
+    let edges = createSlider(0, 100, round(paper.edges * 100));
+    edges.parent(row);
+    edges.attribute('title', 'How much pigment darkens the stroke edges');
+    edges.changed(function() {
+        paperSet(Object.assign(paperEvent(), {
+            edges: edges.value() / 100,
+        }));
+    });
+}
+
+// Toggle pigment mixing, or set its status
+function pigmentToggle(status) {
+    pigmentMixing = status === undefined ? ! pigmentMixing : status;
+    if(pigmentMixing) {
+        buttonPigment.html('<i class="fas fa-fill-drip fa-lg fa-fw"></i>');
+        buttonLabel(buttonPigment, 'Disable pigment mixing (K)', true);
+    } else {
+        buttonPigment.html('<i class="fas fa-fill fa-lg fa-fw"></i>');
+        buttonLabel(buttonPigment, 'Enable pigment mixing (K)', false);
+    }
+    
+    // The palette shows each color as a pigment wash
+    paletteUpdate();
+}
+
+// Toggle the wet-on-wet simulation, or set its status
+function wetToggle(status) {
+    wet = status === undefined ? ! wet : status;
+    if(wet) {
+        buttonWet.html('<i class="fas fa-tint fa-lg fa-fw"></i>');
+        buttonLabel(buttonWet, 'Disable wet-on-wet simulation (W)', true);
+        wetPanel.show();
+    } else {
+        wetStrokesDry(wetStrokes.length);
+        buttonWet.html('<i class="fas fa-tint-slash fa-lg fa-fw"></i>');
+        buttonLabel(buttonWet, 'Enable wet-on-wet simulation (W)', false);
+        wetPanel.hide();
+    }
+    wetRecord();
+}
+
+// Record the wet-on-wet simulation settings
+function wetRecord() {
+    recordEvent({
+        type: 'wet',
+        enabled: wet,
+        wetness: wetness,
+        dryingTime: dryingTime,
+    });
+}
+
+// Generate the wetness and drying time controls of the wet-on-wet settings panel
+function wetPanelCreate() {
+    wetPanel.html('');
+    
+    // Wetness slider
+    let row = createDiv('Wetness');
+    row.parent(wetPanel);
+    row.addClass('panel-row');
+    let wetnessSlider = createSlider(0, 100, round(wetness * 100));
+    wetnessSlider.parent(row);
+    wetnessSlider.attribute('title', 'How much wet strokes spread and mix');
+    wetnessSlider.changed(function() {
+        wetness = wetnessSlider.value() / 100;
+        wetRecord();
+    });
+    
+    // Drying time slider
+    row = createDiv('Drying time');
+    row.parent(wetPanel);
+    row.addClass('panel-row');
+    let dryingTimeSlider = createSlider(1, 15, dryingTime);
+    dryingTimeSlider.parent(row);
+    dryingTimeSlider.attribute('title', 'Seconds a stroke stays wet');
+    dryingTimeSlider.changed(function() {
+        dryingTime = dryingTimeSlider.value();
+        wetRecord();
+    });
+}
+
+// Let the wet strokes bleed into their neighbours, and dry the ones out of time
+function wetUpdate() {
+    
+    // Drop the strokes painted on deleted layers
+    wetStrokes = wetStrokes.filter(function(s) {
+        return layers.indexOf(s.layer) >= 0;
+    });
+    
+    // Dry the oldest strokes over the limit, and the ones out of time
+    let dried = max(0, wetStrokes.length - wetStrokesLimit);
+    while(dried < wetStrokes.length && wetStrokes[dried].wetness() <= 0) dried++;
+    wetStrokesDry(dried);
+    
+    // Bleed the strokes due, oldest first, within the frame budget
+    let budget = wetBudget;
+    for(let i = 0; i < wetStrokes.length && budget > 0; i++) {
+        if(wetStrokes[i].due()) {
+            wetStrokes[i].bleed(wetStrokes);
+            budget--;
+        }
+    }
+}
+
+// Dry the oldest wet strokes, leaving their darker edges
+function wetStrokesDry(total) {
+    for(let i = 0; i < total; i++) {
+        wetStrokes[i].dry();
+    }
+    wetStrokes.splice(0, total);
+}
+
+
 // Toggle pose tracking status
 function trackingToggle() {
     
-    // Enable the real-time human pose detection model for the first time
-    if(! poseNet) {
-        
-        let mediaType = {
-                video: {
-                    mandatory: {
-                        maxWidth: width,
-                    },
-                optional: [{
-                    maxFrameRate: drawFrameRate,
-                }],
-                },
-                audio: false,
+    // Enable the real-time human pose detection model for the first time
+    if(! poseProvider) poseProviderSet(trackingProvider);
+    
+    // Start with the camera as pose source
+    if(! poseSource) poseSourceCamera();
+    
+    // Toggle status
+    if(tracking) {
+        tracking = false;
+        buttonTracking.html('<i class="fas fa-video-slash fa-lg fa-fw"></i>');
+        buttonLabel(buttonTracking, 'Enable pose tracking (T)', false);
+    } else {
+        tracking = true;
+        buttonTracking.html('<i class="fas fa-video fa-lg fa-fw"></i>');
+        buttonLabel(buttonTracking, 'Disable pose tracking (T)', true);
+    }
+    
+    // Show the tracked people and the pose source controls only while tracking
+    personsBarUpdate();
+    poseControlsUpdate();
+}
+
+// Use the poses detected (or replayed) from the pose source, identifying the people and capturing their keypoints
+function posesReceive(r) {
+    if(! poseSource) return;
+    poses = r;
+    personsUpdate(poses);
+    if(poseSource.type !== 'keypoints') poseCaptureAdd(poses);
+}
+
+// Stop the pose source in use, releasing the camera or the video file
+function poseSourceStop() {
+    if(poseSource && poseSource.element) {
+        if(poseSource.type === 'camera' && poseSource.element.elt.srcObject) {
+            poseSource.element.elt.srcObject.getTracks().forEach(function(track) {
+                track.stop();
+            });
+        }
+        poseSource.element.remove();
+    }
+    if(poseSource && poseSource.url) URL.revokeObjectURL(poseSource.url);
+    poseSource = null;
+    video = null;
+    poses = [];
+    poseDetecting = false;
+}
+
+// Use the camera as pose source
+function poseSourceCamera() {
+    poseSourceStop();
+    let mediaType = {
+            video: {
+                mandatory: {
+                    maxWidth: width,
+                },
+            optional: [{
+                maxFrameRate: drawFrameRate,
+            }],
+            },
+            audio: false,
+        };
+    video = createCapture(mediaType, function () {
+        video.size(width, AUTO);
+    });
+    video.hide();
+    poseSource = {
+        type: 'camera',
+        element: video,
+    };
+    poseControlsUpdate();
+    if(trackingPanel) trackingPanelCreate();
+}
+
+// Use a video file chosen in the file input as pose source, played in loop
+function poseSourceVideo(file) {
+    poseSourceStop();
+    let url = URL.createObjectURL(file.file);
+    video = createVideo(url, function() {
+        video.size(width, AUTO);
+        video.volume(0);
+        video.loop();
+    });
+    video.hide();
+    poseSource = {
+        type: 'video',
+        element: video,
+        name: file.name,
+        url: url,
+    };
+    poseControlsUpdate();
+    trackingPanelCreate();
+    
+    // Let the same file be chosen again
+    poseVideoInput.elt.value = '';
+}
+
+// Use a keypoint recording chosen in the file input as pose source, played in loop
+function poseSourceKeypoints(file) {
+    file.file.text().then(function(text) {
+        let data = JSON.parse(text),
+            error = keypointsCheck(data);
+        if(error) throw new Error(error);
+        poseSourceStop();
+        poseSource = {
+            type: 'keypoints',
+            data: data,
+            name: file.name,
+            time: 0,
+            index: -1,
+            playing: true,
+        };
+        poseControlsUpdate();
+        trackingPanelCreate();
+    }).catch(function(error) {
+        console.log(error);
+        alert('"' + file.name + '" can\'t be played as a keypoint recording: ' + error.message);
+    });
+    
+    // Let the same file be chosen again
+    poseKeypointsInput.elt.value = '';
+}
+
+// Check the structure of a keypoint recording before playing it, returning what's wrong (or null if valid)
+function keypointsCheck(data) {
+    if(! data || typeof data !== 'object') return 'not a keypoint recording';
+    if(data.width !== undefined && ! (data.width > 0) || data.height !== undefined && ! (data.height > 0)) return 'no frame size';
+    if(data.keypoints !== undefined && (! Array.isArray(data.keypoints) || ! data.keypoints.every(function(part) {
+        return typeof part === 'string';
+    }))) return 'no keypoint names';
+    if(! Array.isArray(data.frames) || data.frames.length === 0) return 'no pose frames';
+    for(let i = 0; i < data.frames.length; i++) {
+        let frame = data.frames[i];
+        if(! frame || typeof frame.time !== 'number' || i > 0 && frame.time < data.frames[i - 1].time) return 'frame ' + (i + 1) + ' has no time in order';
+        if(! Array.isArray(frame.poses)) return 'frame ' + (i + 1) + ' has no poses';
+        for(let j = 0; j < frame.poses.length; j++) {
+            let keypoints = frame.poses[j];
+            if(! Array.isArray(keypoints) || ! keypoints.every(function(k) {
+                return Array.isArray(k) && k.length === 3 && typeof k[0] === 'number' && typeof k[1] === 'number' && typeof k[2] === 'number';
+            })) return 'frame ' + (i + 1) + ' has keypoints that aren\'t [x, y, score]';
+        }
+    }
+    return null;
+}
+
+// Detect the poses of the current video frame, or replay the poses of the current keypoint recording frame
+function poseSourceUpdate() {
+    if(! poseSource) return;
+    if(poseSource.type === 'keypoints') {
+        let frames = poseSource.data.frames;
+        
+        // Advance the playback time, in loop
+        if(poseSource.playing) {
+            poseSource.time += deltaTime;
+            if(poseSource.time > poseSourceDuration() * 1000) {
+                poseSource.time = 0;
+                poseSource.index = -1;
+            }
+        }
+        
+        // Find the last frame up to the playback time, replaying its poses when new
+        let index = poseSource.index;
+        if(index >= 0 && frames[index].time > poseSource.time) index = -1;
+        while(index + 1 < frames.length && frames[index + 1].time <= poseSource.time) index++;
+        if(index !== poseSource.index && index >= 0) posesReceive(keypointsPoses(frames[index], poseSource.data));
+        poseSource.index = index;
+    } else if(poseProvider.ready && ! poseDetecting && (! poseProvider.video || poseSource.element.elt.readyState >= 2)) {
+        
+        // Poses detected by a previous pose detector are dropped
+        let provider = poseProvider;
+        poseDetecting = true;
+        provider.detect(poseSource.element.elt).then(function(r) {
+            poseDetecting = false;
+            if(provider === poseProvider) posesReceive(r);
+        }).catch(function(error) {
+            console.log(error);
+            poseDetecting = false;
+        });
+    }
+    poseControlsTick();
+}
+
+// Use a pose detector, one of poseProviders
+function poseProviderSet(name) {
+    trackingProvider = poseProviders[name] ? name : 'posenet';
+    if(trackingProvider === 'movenet') {
+        poseProvider = new PoseDetectionProvider('MoveNet');
+    } else if(trackingProvider === 'blazepose') {
+        poseProvider = new PoseDetectionProvider('BlazePose');
+    } else if(trackingProvider === 'mock') {
+        poseProvider = new MockPoseProvider();
+    } else {
+        poseProvider = new PoseNetProvider();
+    }
+    poseDetecting = false;
+}
+
+// Load scripts in order (checking their integrity hashes), resolving once all of them have run
+function scriptsLoad(scripts) {
+    return scripts.reduce(function(previous, s) {
+        return previous.then(function() {
+            return scriptLoad(s);
+        });
+    }, Promise.resolve());
+}
+
+// Load a script once, resolving once it has run (a script that fails is removed, so it can be loaded again)
+function scriptLoad(s) {
+    if(! scriptLoads[s.src]) scriptLoads[s.src] = new Promise(function(resolve, reject) {
+        let script = document.createElement('script');
+        script.src = s.src;
+        script.integrity = s.integrity;
+        script.crossOrigin = 'anonymous';
+        script.onload = resolve;
+        script.onerror = function() {
+            script.remove();
+            delete scriptLoads[s.src];
+            reject(new Error(s.src + ' can\'t be loaded'));
+        };
+        document.head.appendChild(script);
+    });
+    return scriptLoads[s.src];
+}
+
+// Size of the pose source frame, where the keypoints are detected
+function poseSourceSize() {
+    if(poseSource && poseSource.type === 'keypoints') {
+        let data = poseSource.data;
+        return {
+            w: paintingWidth,
+            h: (data.height || paintingHeight) * paintingWidth / (data.width || paintingWidth),
+        };
+    }
+    if(poseSource && poseSource.element && poseSource.element.elt.width) {
+        return {
+            w: poseSource.element.elt.width,
+            h: poseSource.element.elt.height,
+        };
+    }
+    return {
+        w: paintingWidth,
+        h: paintingHeight,
+    };
+}
+
+// Map a tracked body part position from the tracked region of the pose source frame onto the full canvas, mirrored
+function trackingMap(v) {
+    let size = poseSourceSize(),
+        r = trackingRegion;
+    return mirror({
+        x: (v.x / size.w - r.x) / r.w * paintingWidth,
+        y: (v.y / size.h - r.y) / r.h * paintingHeight,
+    });
+}
+
+// Position on the calibration overlay of a pose source frame position, showing the full frame mirrored over the canvas
+function calibrationPosition(v) {
+    let size = poseSourceSize();
+    return {
+        x: paintingWidth * (1 - v.x / size.w),
+        y: paintingHeight * v.y / size.h,
+    };
+}
+
+// Show or hide the calibration overlay
+function calibrationToggle() {
+    calibrating = ! calibrating;
+    calibrationDrag = null;
+    trackingPanelCreate();
+}
+
+// Draw the calibration overlay: the camera image, the skeleton and confidence of each pose and the tracked region
+function calibrationDraw() {
+    let context = drawingContext;
+    push();
+    
+    // Camera image, dimmed over the painting
+    if(poseSource && poseSource.element && poseSource.element.elt.readyState >= 2) {
+        context.save();
+        context.globalAlpha = 0.7;
+        context.translate(paintingWidth, 0);
+        context.scale(-1, 1);
+        context.drawImage(poseSource.element.elt, 0, 0, paintingWidth, paintingHeight);
+        context.restore();
+    } else {
+        noStroke();
+        fill(0, 160);
+        rect(0, 0, paintingWidth, paintingHeight);
+    }
+    
+    // Skeleton of each pose, with the person color
+    textSize(12);
+    for(let i = 0; i < poses.length; i++) {
+        let pose = poses[i].pose,
+            c = poses[i].person ? poses[i].person.color : '#ffffff';
+        stroke(c);
+        strokeWeight(3);
+        for(let j = 0; j < trackingSkeleton.length; j++) {
+            let a = pose[trackingSkeleton[j][0]],
+                b = pose[trackingSkeleton[j][1]];
+            if(! a || ! b || a.confidence < trackingConfidence || b.confidence < trackingConfidence) continue;
+            let p1 = calibrationPosition(a),
+                p2 = calibrationPosition(b);
+            line(p1.x, p1.y, p2.x, p2.y);
+        }
+        
+        // Keypoints, green when confident enough, with the confidence of the tracked body parts
+        for(let j = 0; j < pose.keypoints.length; j++) {
+            let k = pose.keypoints[j],
+                p = calibrationPosition(k.position),
+                settings = trackingBodyParts[k.part];
+            stroke(0);
+            strokeWeight(1);
+            fill(k.score >= trackingConfidence ? '#00cc00' : '#cc0000');
+            circle(p.x, p.y, settings && settings.enabled ? 14 : 8);
+            if(settings && settings.enabled) {
+                noStroke();
+                fill(255);
+                text(round(k.score * 100) + '%', p.x + 10, p.y - 10);
+            }
+        }
+    }
+    
+    // Tracked region, with a hint
+    let r = trackingRegion;
+    noFill();
+    stroke('#ffcc00');
+    strokeWeight(2);
+    context.setLineDash([8, 6]);
+    rect(paintingWidth * (1 - r.x - r.w), paintingHeight * r.y, paintingWidth * r.w, paintingHeight * r.h);
+    context.setLineDash([]);
+    noStroke();
+    fill(255);
+    textSize(16);
+    textAlign(CENTER, TOP);
+    text('Drag over the image to choose the area mapped onto the canvas', paintingWidth / 2, 12);
+    pop();
+}
+
+// Choose the tracked region dragging a pointer over the calibration overlay
+function calibrationPointer(event) {
+    let p = pointerRead(event),
+        v = {
+            x: constrain(1 - p.x / paintingWidth, 0, 1),
+            y: constrain(p.y / paintingHeight, 0, 1),
+        };
+    if(event.type === 'pointerdown') {
+        canvas.elt.setPointerCapture(event.pointerId);
+        calibrationDrag = v;
+    } else if(calibrationDrag) {
+        
+        // The region has a minimum size, so the mapping doesn't blow up
+        let x = min(calibrationDrag.x, v.x),
+            y = min(calibrationDrag.y, v.y);
+        trackingRegion = {
+            x: x,
+            y: y,
+            w: constrain(abs(v.x - calibrationDrag.x), 0.1, 1 - x),
+            h: constrain(abs(v.y - calibrationDrag.y), 0.1, 1 - y),
+        };
+        if(event.type !== 'pointermove') {
+            calibrationDrag = null;
+            trackingSettingsSave();
+        }
+    }
+}
+
+// Recognize the gesture of a pose, from its confident keypoints, or null if none
+function gestureDetect(pose) {
+    let k = {};
+    for(let i = 0; i < trackingKeypoints.length; i++) {
+        let part = trackingKeypoints[i];
+        if(pose[part] && pose[part].confidence >= trackingConfidence) k[part] = pose[part];
+    }
+    if(! k.leftShoulder || ! k.rightShoulder) return null;
+    
+    // Body proportions are relative to the shoulders width
+    let unit = dist(k.leftShoulder.x, k.leftShoulder.y, k.rightShoulder.x, k.rightShoulder.y),
+        top = k.nose ? k.nose.y : min(k.leftShoulder.y, k.rightShoulder.y) - unit / 2,
+        leftUp = k.leftWrist && k.leftWrist.y < top,
+        rightUp = k.rightWrist && k.rightWrist.y < top;
+    if(leftUp && rightUp) return 'handsUp';
+    if(leftUp && k.rightWrist && k.rightWrist.y > k.rightShoulder.y) return 'leftHandUp';
+    if(rightUp && k.leftWrist && k.leftWrist.y > k.leftShoulder.y) return 'rightHandUp';
+    if(! k.leftWrist || ! k.rightWrist) return null;
+    
+    // Arms spread: both wrists at the shoulders height, far from each other
+    if(abs(k.leftWrist.y - k.leftShoulder.y) < unit / 2 && abs(k.rightWrist.y - k.rightShoulder.y) < unit / 2 && abs(k.leftWrist.x - k.rightWrist.x) > unit * 2.5) return 'armsSpread';
+    
+    // Wrists crossed: each wrist on the other side of the body, below the shoulders
+    if((k.leftWrist.x - k.rightWrist.x) * (k.leftShoulder.x - k.rightShoulder.x) < 0 && k.leftWrist.y > top && k.rightWrist.y > top) return 'wristsCrossed';
+    return null;
+}
+
+// Palette color index under a hand dwelling over the palette zone (the bottom of the painting), or -1 if none
+function gesturePaletteColor(pose) {
+    let hands = ['leftWrist', 'rightWrist'];
+    for(let i = 0; i < hands.length; i++) {
+        let k = pose[hands[i]];
+        if(! k || k.confidence < trackingConfidence) continue;
+        let v = trackingMap(k);
+        if(v.y >= paintingHeight * (1 - gesturePaletteZone) && v.y <= paintingHeight && v.x >= 0 && v.x < paintingWidth) return floor(v.x / paintingWidth * colors.length);
+    }
+    return -1;
+}
+
+// Seconds a gesture must be held: shorter over the palette, and longer for the reset, counting down before it
+function gestureDwellTime(gesture) {
+    if(gesture.indexOf('palette-') === 0) return gesturePaletteDwell;
+    if(gestureActions[gesture] === 'reset') return gestureDwell + gestureResetCountdown;
+    return gestureDwell;
+}
+
+// Recognize the gestures of every tracked person, triggering their commands when held long enough
+function gesturesUpdate() {
+    let states = {};
+    for(let i = 0; i < poses.length; i++) {
+        let key = poses[i].person ? poses[i].person.id : 'pose-' + i,
+            gesture = gestureDetect(poses[i].pose),
+            swatch = gesturePalette ? gesturePaletteColor(poses[i].pose) : -1;
+        
+        // Gestures without command are ignored, and a hand over the palette chooses its color
+        if(gesture && gestureActions[gesture] === 'none') gesture = null;
+        if(! gesture && swatch >= 0) gesture = 'palette-' + swatch;
+        if(! gesture) continue;
+        
+        // Keep the gesture in progress, or start it
+        let state = gestureStates[key];
+        if(! state || state.gesture !== gesture) state = {
+            gesture: gesture,
+            start: millis(),
+            done: false,
+        };
+        state.pose = poses[i];
+        states[key] = state;
+        poses[i].gesturing = millis() - state.start >= gestureHold * 1000;
+        
+        // Trigger the command once when held long enough
+        if(! state.done && millis() - state.start >= gestureDwellTime(gesture) * 1000) {
+            state.done = true;
+            if(swatch >= 0 && gesture === 'palette-' + swatch) {
+                brushColor = colors[swatch];
+                colorPicker(brushColor);
+            } else {
+                gestureCommand(gestureActions[gesture]);
+            }
+        }
+    }
+    
+    // The gestures released are forgotten
+    gestureStates = states;
+}
+
+// Run a command triggered by a gesture
+function gestureCommand(command) {
+    if(command === 'reset') {
+        canvasReset();
+    } else if(command === 'download') {
+        canvasDownload();
+    } else if(command === 'painting') {
+        trackingPainting = ! trackingPainting;
+    } else if(command === 'undo') {
+        canvasUndo();
+    } else if(command === 'redo') {
+        canvasRedo();
+    } else if(command === 'save') {
+        paintingSave();
+    }
+}
+
+// Draw the palette zone, the dwell progress of the gestures in progress over each person, and whether painting is off
+function gesturesDraw() {
+    push();
+    
+    // The palette zone, with the brush color outlined
+    if(gesturesEnabled && gesturePalette && ! calibrating) {
+        let w = paintingWidth / colors.length,
+            h = paintingHeight * gesturePaletteZone;
+        stroke(0);
+        strokeWeight(1);
+        for(let i = 0; i < colors.length; i++) {
+            let c = color(colors[i]);
+            c.setAlpha(160);
+            fill(c);
+            rect(i * w, paintingHeight - h, w, h);
+        }
+        let i = colors.indexOf(brushColor);
+        if(i >= 0) {
+            noFill();
+            strokeWeight(4);
+            rect(i * w + 2, paintingHeight - h + 2, w - 4, h - 4);
+        }
+    }
+    textAlign(CENTER, CENTER);
+    textSize(14);
+    for(let key in gestureStates) {
+        let state = gestureStates[key],
+            pose = state.pose.pose,
+            palette = state.gesture.indexOf('palette-') === 0,
+            dwell = gestureDwellTime(state.gesture),
+            elapsed = (millis() - state.start) / 1000,
+            progress = min(1, elapsed / dwell),
+            label = palette ? colorNames[Number(state.gesture.split('-')[1])] : gestureCommands[gestureActions[state.gesture]],
+            v = palette ? {
+                x: (Number(state.gesture.split('-')[1]) + 0.5) * paintingWidth / colors.length,
+                y: paintingHeight * (1 - gesturePaletteZone) - 40,
+            } : pose.nose ? trackingMap(pose.nose) : {
+                x: paintingWidth / 2,
+                y: paintingHeight / 2,
+            };
+        v.x = constrain(v.x, 40, paintingWidth - 40);
+        v.y = constrain(v.y, 40, paintingHeight - 40);
+        
+        // A ring filling up while the gesture is held
+        noFill();
+        strokeWeight(6);
+        stroke(0, 80);
+        circle(v.x, v.y, 56);
+        stroke(state.done ? '#00cc00' : '#ffffff');
+        arc(v.x, v.y, 56, 56, - HALF_PI, - HALF_PI + TWO_PI * progress);
+        noStroke();
+        fill(0);
+        
+        // The reset counts down its last seconds, so it can still be stopped
+        if(! state.done && gestureActions[state.gesture] === 'reset' && dwell - elapsed <= gestureResetCountdown) {
+            textSize(24);
+            text(ceil(dwell - elapsed), v.x, v.y);
+            textSize(14);
+            label += ' in ' + ceil(dwell - elapsed) + ' s, release to cancel';
+        }
+        text(label, v.x, v.y + 44);
+    }
+    if(! trackingPainting) {
+        noStroke();
+        fill(0);
+        textAlign(LEFT, TOP);
+        text('Painting off', 12, 12);
+    }
+    pop();
+}
+
+// Duration in seconds of the video file or keypoint recording (0 for the camera)
+function poseSourceDuration() {
+    if(! poseSource || poseSource.type === 'camera') return 0;
+    if(poseSource.type === 'keypoints') return poseSource.data.frames[poseSource.data.frames.length - 1].time / 1000;
+    return poseSource.element.duration() || 0;
+}
+
+// Playback time in seconds of the video file or keypoint recording
+function poseSourceTime() {
+    if(! poseSource || poseSource.type === 'camera') return 0;
+    if(poseSource.type === 'keypoints') return poseSource.time / 1000;
+    return poseSource.element.time();
+}
+
+// Play or pause the video file or keypoint recording
+function poseSourcePlayToggle() {
+    if(! poseSource || poseSource.type === 'camera') return;
+    if(poseSource.type === 'keypoints') {
+        poseSource.playing = ! poseSource.playing;
+    } else if(poseSource.element.elt.paused) {
+        poseSource.element.loop();
+    } else {
+        poseSource.element.pause();
+    }
+    poseControlsTick();
+}
+
+// Seek the video file or keypoint recording to a time in seconds
+function poseSourceSeek(time) {
+    if(! poseSource || poseSource.type === 'camera') return;
+    if(poseSource.type === 'keypoints') {
+        poseSource.time = time * 1000;
+    } else {
+        poseSource.element.time(time);
+    }
+    poseControlsTick();
+}
+
+// Show the pose source controls while tracking a video file or keypoint recording
+function poseControlsUpdate() {
+    if(tracking && poseSource && poseSource.type !== 'camera') {
+        poseControls.show();
+        poseControlsTick();
+    } else {
+        poseControls.hide();
+    }
+}
+
+// Update the play/pause button, seek slider and time label of the pose source controls
+function poseControlsTick() {
+    if(! poseSource || poseSource.type === 'camera') return;
+    let paused = poseSource.type === 'keypoints' ? ! poseSource.playing : poseSource.element.elt.paused,
+        time = poseSourceTime(),
+        duration = poseSourceDuration();
+    posePlayButton.html('<i class="fas fa-' + (paused ? 'play' : 'pause') + ' fa-fw"></i>');
+    posePlayButton.attribute('title', paused ? 'Play' : 'Pause');
+    if(duration) poseSeekSlider.value(round(time / duration * 1000));
+    poseTimeLabel.html(floor(time / 60) + ':' + nf(floor(time % 60), 2) + ' / ' + floor(duration / 60) + ':' + nf(floor(duration % 60), 2));
+}
+
+// Capture the keypoints of the poses detected, to be saved as a keypoint recording
+function poseCaptureAdd(detected) {
+    if(poseCapture.length === 0) poseCaptureStart = millis();
+    let frame = {
+        time: round(millis() - poseCaptureStart),
+        poses: [],
+    };
+    for(let i = 0; i < detected.length; i++) {
+        let pose = detected[i].pose;
+        frame.poses.push(trackingKeypoints.map(function(part) {
+            return pose[part] ? [round(pose[part].x), round(pose[part].y), round(pose[part].confidence * 100) / 100] : [0, 0, 0];
+        }));
+    }
+    poseCapture.push(frame);
+    if(poseCapture.length > poseCaptureMax) poseCapture.shift();
+}
+
+// Download the keypoints captured as a keypoint recording, to be used later as pose source
+function poseCaptureSave() {
+    let size = poseSourceSize();
+    saveJSON({
+        version: 1,
+        width: size.w,
+        height: size.h,
+        keypoints: trackingKeypoints,
+        frames: poseCapture,
+    }, 'watercolor-keypoints-' + new Date().getTime() + '.json');
+}
+
+// Poses of a keypoint recording frame, in the PoseNet format, scaled to the canvas width (as the camera image)
+function keypointsPoses(frame, data) {
+    let scale = paintingWidth / (data.width || paintingWidth),
+        parts = data.keypoints || trackingKeypoints;
+    return frame.poses.map(function(keypoints) {
+        return poseFormat(keypoints.map(function(k, j) {
+            return {
+                part: parts[j],
+                x: k[0] * scale,
+                y: k[1] * scale,
+                score: k[2],
+            };
+        }));
+    });
+}
+
+// Pose in the PoseNet format from a list of keypoints (part, position and score), so every pose detector feeds the same pipeline
+function poseFormat(keypoints) {
+    let pose = {
+        keypoints: [],
+    };
+    for(let i = 0; i < keypoints.length; i++) {
+        let k = keypoints[i];
+        pose.keypoints.push({
+            part: k.part,
+            position: {
+                x: k.x,
+                y: k.y,
+            },
+            score: k.score,
+        });
+        pose[k.part] = {
+            x: k.x,
+            y: k.y,
+            confidence: k.score,
+        };
+    }
+    return {
+        pose: pose,
+    };
+}
+
+// Default brush settings of a tracked body part: paint with the brush color and size
+function trackingBodyPart(enabled) {
+    return {
+        enabled: enabled,                               // Paint with this body part
+        color: 'brush',                                 // Color source: 'brush', 'palette' or 'custom'
+        palette: 0,                                     // Palette index, for the 'palette' color source
+        custom: '#000000',                              // Custom color, for the 'custom' color source
+        radius: 0,                                      // Brush radius, or 0 to use the brush size
+    };
+}
+
+// Whether the saved brush settings of a body part are valid
+function trackingBodyPartCheck(settings) {
+    return typeof settings.enabled === 'boolean' && ['brush', 'palette', 'custom'].indexOf(settings.color) >= 0 && Number.isInteger(settings.palette) && settings.palette >= 0 && colorCheck(settings.custom) && numberInRange(settings.radius, 0, 64);
+}
+
+// Color a tracked body part paints with
+function trackingBodyPartColor(settings, person) {
+    if(settings.color === 'palette') return colors[settings.palette % colors.length];
+    if(settings.color === 'custom') return settings.custom;
+    if(person && trackingPersonColors) return person.color;
+    return brushColor;
+}
+
+// Brush radius a tracked body part paints with
+function trackingBodyPartRadius(settings, person) {
+    if(settings.radius) return settings.radius;
+    if(person && trackingPersonColors && person.radius) return person.radius;
+    return brushRadius;
+}
+
+// Bounding box (center and size) of the confident keypoints of a pose, or null if none
+function poseBox(pose) {
+    let x1 = Infinity,
+        y1 = Infinity,
+        x2 = -Infinity,
+        y2 = -Infinity;
+    for(let i = 0; i < pose.keypoints.length; i++) {
+        let k = pose.keypoints[i];
+        if(k.score < trackingConfidence) continue;
+        x1 = min(x1, k.position.x);
+        y1 = min(y1, k.position.y);
+        x2 = max(x2, k.position.x);
+        y2 = max(y2, k.position.y);
+    }
+    if(x1 === Infinity) return null;
+    return {
+        x: (x1 + x2) / 2,
+        y: (y1 + y2) / 2,
+        w: x2 - x1,
+        h: y2 - y1,
+    };
+}
+
+// Match the detected poses with the known people, nearest first, identifying new people and releasing the ones gone
+function personsUpdate(detected) {
+    
+    // Every possible match between poses and people
+    let matches = [],
+        boxes = [];
+    for(let i = 0; i < detected.length; i++) {
+        boxes.push(poseBox(detected[i].pose));
+        detected[i].person = null;
+        if(! boxes[i]) continue;
+        for(let j = 0; j < persons.length; j++) {
+            let d = persons[j].distance(boxes[i]);
+            if(d < Infinity) {
+                matches.push({
+                    pose: detected[i],
+                    box: boxes[i],
+                    person: persons[j],
+                    distance: d,
+                });
+            }
+        }
+    }
+    
+    // Take the nearest matches first, each pose and person only once
+    matches.sort(function(a, b) {
+        return a.distance - b.distance;
+    });
+    let matched = [];
+    for(let i = 0; i < matches.length; i++) {
+        let m = matches[i];
+        if(m.pose.person || matched.indexOf(m.person) >= 0) continue;
+        m.person.update(m.box);
+        m.pose.person = m.person;
+        matched.push(m.person);
+    }
+    
+    // Release the people out of the frame for too long
+    let changed = false;
+    persons = persons.filter(function(p) {
+        let kept = millis() - p.seen < personTimeout;
+        changed = changed || ! kept;
+        return kept;
+    });
+    
+    // Identify the poses left as new people
+    for(let i = 0; i < detected.length; i++) {
+        if(detected[i].person || ! boxes[i]) continue;
+        detected[i].person = new Person(boxes[i]);
+        persons.push(detected[i].person);
+        changed = true;
+    }
+    
+    if(changed) personsBarUpdate();
+}
+
+// Choose a palette color for a new person, preferring the colors nobody has
+function personColor() {
+    for(let i = 0; i < colors.length; i++) {
+        let c = colors[(personsCount + i - 1) % colors.length],
+            used = false;
+        for(let j = 0; j < persons.length; j++) {
+            if(persons[j].color === c) used = true;
+        }
+        if(! used) return c;
+    }
+    return colors[(personsCount - 1) % colors.length];
+}
+
+// Rebuild the bar showing each person color and brush size, near the palette
+function personsBarUpdate() {
+    personsBar.html('');
+    if(! tracking || ! trackingPersonColors) return;
+    for(let i = 0; i < persons.length; i++) {
+        let person = persons[i],
+            chip = createDiv('P' + person.id);
+        chip.parent(personsBar);
+        chip.addClass('person');
+        chip.style('background-color', person.color);
+        chip.attribute('title', 'Person ' + person.id + ': click to paint with the brush color');
+        chip.mousePressed(function() {
+            person.color = brushColor;
+            chip.style('background-color', person.color);
+        });
+        
+        // Brush size selector
+        let size = createSelect();
+        size.parent(chip);
+        size.attribute('title', 'Brush size');
+        size.option('Brush size', 0);
+        for(let r = 8; r <= 64; r += 8) {
+            size.option(2 * r, r);
+        }
+        size.selected(person.radius);
+        size.changed(function() {
+            person.radius = Number(size.value());
+        });
+        size.mousePressed(function(event) {
+            event.stopPropagation();
+        });
+    }
+}
+
+// Whether a saved tracked region is valid, inside the frame and not too small
+function trackingRegionCheck(r) {
+    return !! r && numberInRange(r.x, 0, 0.9) && numberInRange(r.y, 0, 0.9) && numberInRange(r.w, 0.1, 1 - r.x) && numberInRange(r.h, 0.1, 1 - r.y);
+}
+
+// Restore the pose tracking settings saved in a previous session
+function trackingSettingsLoad() {
+    try {
+        let saved = JSON.parse(localStorage.getItem('watercolor-tracking'));
+        if(saved) {
+            if(numberInRange(saved.confidence, 0, 1)) trackingConfidence = saved.confidence;
+            if(typeof saved.personColors === 'boolean') trackingPersonColors = saved.personColors;
+            if(numberInRange(saved.smoothing, 0, 0.9)) trackingSmoothing = saved.smoothing;
+            if(poseProviders[saved.provider]) trackingProvider = saved.provider;
+            if(trackingRegionCheck(saved.region)) trackingRegion = saved.region;
+            if(saved.gestures) {
+                if(typeof saved.gestures.enabled === 'boolean') gesturesEnabled = saved.gestures.enabled;
+                if(typeof saved.gestures.palette === 'boolean') gesturePalette = saved.gestures.palette;
+                if(numberInRange(saved.gestures.dwell, 1, 5)) gestureDwell = saved.gestures.dwell;
+                for(let gesture in gestureNames) {
+                    let action = saved.gestures.actions && saved.gestures.actions[gesture];
+                    if(gestureCommands[action]) gestureActions[gesture] = action;
+                }
+            }
+            if(saved.bodyParts && typeof saved.bodyParts === 'object') {
+                trackingBodyParts = {};
+                for(let part in saved.bodyParts) {
+                    let settings = Object.assign(trackingBodyPart(false), saved.bodyParts[part]);
+                    if(trackingKeypoints.indexOf(part) >= 0 && trackingBodyPartCheck(settings)) trackingBodyParts[part] = settings;
+                }
+            }
+        }
+    } catch(error) {
+        console.log(error);
+    }
+    
+    // Every keypoint gets settings, disabled if not tracked
+    for(let i = 0; i < trackingKeypoints.length; i++) {
+        if(! trackingBodyParts[trackingKeypoints[i]]) trackingBodyParts[trackingKeypoints[i]] = trackingBodyPart(false);
+    }
+    trackingPanelCreate();
+}
+
+// Save the pose tracking settings for the next sessions
+function trackingSettingsSave() {
+    try {
+        localStorage.setItem('watercolor-tracking', JSON.stringify({
+            confidence: trackingConfidence,
+            personColors: trackingPersonColors,
+            smoothing: trackingSmoothing,
+            provider: trackingProvider,
+            region: trackingRegion,
+            gestures: {
+                enabled: gesturesEnabled,
+                palette: gesturePalette,
+                dwell: gestureDwell,
+                actions: gestureActions,
+            },
+            bodyParts: trackingBodyParts,
+        }));
+    } catch(error) {
+        console.log(error);
+    }
+}
+
+// Show or hide the pose tracking settings panel
+function trackingPanelToggle() {
+    if(trackingPanel.elt.style.display === 'none') {
+        trackingPanel.show();
+    } else {
+        trackingPanel.hide();
+    }
+}
+
+// Generate the confidence and body part controls of the pose tracking settings panel
+function trackingPanelCreate() {
+    trackingPanel.html('');
+    
+    // Pose source selector: camera, video file or keypoint recording (the files are chosen in their file inputs)
+    let row = createDiv('Source');
+    row.parent(trackingPanel);
+    row.addClass('panel-row');
+    row.addClass('panel-setting');
+    let source = createSelect();
+    source.parent(row);
+    source.option('Camera', 'camera');
+    source.option(poseSource && poseSource.type === 'video' ? poseSource.name : 'Video file...', 'video');
+    source.option(poseSource && poseSource.type === 'keypoints' ? poseSource.name : 'Keypoint recording...', 'keypoints');
+    source.selected(poseSource ? poseSource.type : 'camera');
+    source.changed(function() {
+        if(source.value() === 'camera') {
+            poseSourceCamera();
+        } else if(source.value() === 'video') {
+            poseVideoInput.elt.click();
+        } else {
+            poseKeypointsInput.elt.click();
+        }
+        
+        // Until a file is chosen, the source doesn't change
+        source.selected(poseSource ? poseSource.type : 'camera');
+    });
+    
+    // Pose detector selector
+    row = createDiv('Detector');
+    row.parent(trackingPanel);
+    row.addClass('panel-row');
+    row.addClass('panel-setting');
+    let provider = createSelect();
+    provider.parent(row);
+    for(let name in poseProviders) {
+        provider.option(poseProviders[name], name);
+    }
+    provider.selected(trackingProvider);
+    provider.changed(function() {
+        
+        // The detector is loaded when tracking, or right away if already tracking
+        trackingProvider = provider.value();
+        if(poseProvider) poseProviderSet(trackingProvider);
+        trackingSettingsSave();
+        trackingPanelCreate();
+    });
+    
+    // Why the detector couldn't be loaded, with a retry button
+    if(poseProvider && poseProvider.error) {
+        row = createDiv();
+        row.parent(trackingPanel);
+        row.addClass('panel-row');
+        let error = createSpan();
+        error.elt.textContent = poseProviders[trackingProvider] + ' couldn\'t be loaded: ' + poseProvider.error;
+        error.parent(row);
+        error.style('flex', '1');
+        let retry = createButton('<i class="fas fa-redo fa-fw"></i> Retry');
+        retry.parent(row);
+        retry.attribute('title', 'Load the detector again');
+        retry.mousePressed(function() {
+            poseProviderSet(trackingProvider);
+            trackingPanelCreate();
+        });
+    }
+    
+    // Calibration overlay and tracked region reset buttons
+    row = createDiv();
+    row.parent(trackingPanel);
+    row.addClass('panel-row');
+    let calibrate = createButton('<i class="fas fa-crosshairs fa-fw"></i> ' + (calibrating ? 'Finish calibration' : 'Calibrate'));
+    calibrate.parent(row);
+    calibrate.attribute('title', 'Show the camera image, skeleton and confidence, and choose the area mapped onto the canvas');
+    calibrate.mousePressed(calibrationToggle);
+    let regionReset = createButton('<i class="fas fa-expand fa-fw"></i> Full frame');
+    regionReset.parent(row);
+    regionReset.attribute('title', 'Map the full camera frame onto the canvas');
+    regionReset.mousePressed(function() {
+        trackingRegion = {
+            x: 0,
+            y: 0,
+            w: 1,
+            h: 1,
+        };
+        trackingSettingsSave();
+    });
+    
+    // Gestures checkbox, hand over the palette checkbox and gesture dwell time slider
+    row = createDiv();
+    row.parent(trackingPanel);
+    row.addClass('panel-row');
+    let gestures = createCheckbox('Gesture commands', gesturesEnabled);
+    gestures.parent(row);
+    gestures.attribute('title', 'Hold a pose gesture to trigger its command');
+    gestures.changed(function() {
+        gesturesEnabled = gestures.checked();
+        gestureStates = {};
+        trackingSettingsSave();
+    });
+    row = createDiv();
+    row.parent(trackingPanel);
+    row.addClass('panel-row');
+    let palette = createCheckbox('Hand over the palette selects a color', gesturePalette);
+    palette.parent(row);
+    palette.attribute('title', 'Dwell with a hand over a color of the palette shown at the bottom of the painting');
+    palette.changed(function() {
+        gesturePalette = palette.checked();
+        trackingSettingsSave();
+    });
+    row = createDiv('Gesture hold');
+    row.parent(trackingPanel);
+    row.addClass('panel-row');
+    let dwell = createSlider(1, 5, gestureDwell, 0.5);
+    dwell.parent(row);
+    dwell.attribute('title', 'Seconds a gesture must be held to trigger its command');
+    dwell.changed(function() {
+        gestureDwell = dwell.value();
+        trackingSettingsSave();
+    });
+    
+    // A row for each gesture, with its command
+    for(let gesture in gestureNames) {
+        row = createDiv(gestureNames[gesture]);
+        row.parent(trackingPanel);
+        row.addClass('panel-row');
+        row.addClass('panel-setting');
+        let command = createSelect();
+        command.parent(row);
+        for(let c in gestureCommands) {
+            command.option(gestureCommands[c], c);
+        }
+        command.selected(gestureActions[gesture]);
+        command.changed(function() {
+            gestureActions[gesture] = command.value();
+            trackingSettingsSave();
+        });
+    }
+    
+    // Save the keypoints captured button
+    row = createDiv();
+    row.parent(trackingPanel);
+    row.addClass('panel-row');
+    let save = createButton('<i class="fas fa-file-download fa-fw"></i> Save keypoint recording');
+    save.parent(row);
+    save.attribute('title', 'Download the keypoints tracked in this session, to be used as pose source');
+    save.mousePressed(poseCaptureSave);
+    
+    // Minimum confidence slider
+    row = createDiv('Confidence');
+    row.parent(trackingPanel);
+    row.addClass('panel-row');
+    let confidence = createSlider(0, 100, round(trackingConfidence * 100));
+    confidence.parent(row);
+    confidence.attribute('title', 'Minimum confidence on the tracked body parts');
+    confidence.changed(function() {
+        trackingConfidence = confidence.value() / 100;
+        trackingSettingsSave();
+    });
+    
+    // Smoothing slider
+    row = createDiv('Smoothing');
+    row.parent(trackingPanel);
+    row.addClass('panel-row');
+    let smoothing = createSlider(0, 90, round(trackingSmoothing * 100));
+    smoothing.parent(row);
+    smoothing.attribute('title', 'Smoothing of the tracked body part positions');
+    smoothing.changed(function() {
+        trackingSmoothing = smoothing.value() / 100;
+        trackingSettingsSave();
+    });
+    
+    // Person colors checkbox
+    row = createDiv();
+    row.parent(trackingPanel);
+    row.addClass('panel-row');
+    let personColors = createCheckbox('Give each person their own color', trackingPersonColors);
+    personColors.parent(row);
+    personColors.attribute('title', 'Body parts painting with the brush color use the person color and brush size instead');
+    personColors.changed(function() {
+        trackingPersonColors = personColors.checked();
+        trackingSettingsSave();
+        personsBarUpdate();
+    });
+    
+    // A row for each keypoint: enabled, color source and brush size
+    for(let i = 0; i < trackingKeypoints.length; i++) {
+        let part = trackingKeypoints[i],
+            settings = trackingBodyParts[part];
+        row = createDiv();
+        row.parent(trackingPanel);
+        row.addClass('panel-row');
+        
+        // Enabled checkbox, labelled with the keypoint name
+        let enabled = createCheckbox(part.replace(/([A-Z])/g, ' $1').toLowerCase(), settings.enabled);
+        enabled.parent(row);
+        enabled.addClass('panel-name');
+        enabled.changed(function() {
+            settings.enabled = enabled.checked();
+            trackingSettingsSave();
+        });
+        
+        // Color source selector, with a palette index and a custom color
+        let source = createSelect(),
+            palette = createSelect(),
+            custom = createColorPicker(settings.custom);
+        source.parent(row);
+        source.attribute('title', 'Color');
+        source.option('Brush color', 'brush');
+        source.option('Palette', 'palette');
+        source.option('Custom', 'custom');
+        source.selected(settings.color);
+        palette.parent(row);
+        palette.attribute('title', 'Palette index');
+        for(let j = 0; j < colors.length; j++) {
+            palette.option(j + 1, j);
+        }
+        palette.selected(settings.palette);
+        custom.parent(row);
+        custom.attribute('title', 'Custom color');
+        let sourceUpdate = function() {
+            palette.style('display', settings.color === 'palette' ? 'inline-block' : 'none');
+            custom.style('display', settings.color === 'custom' ? 'inline-block' : 'none');
+        };
+        sourceUpdate();
+        source.changed(function() {
+            settings.color = source.value();
+            sourceUpdate();
+            trackingSettingsSave();
+        });
+        palette.changed(function() {
+            settings.palette = Number(palette.value());
+            trackingSettingsSave();
+        });
+        custom.changed(function() {
+            settings.custom = custom.value();
+            trackingSettingsSave();
+        });
+        
+        // Brush size selector, shown as diameter like the color picker indicator
+        let size = createSelect();
+        size.parent(row);
+        size.attribute('title', 'Brush size');
+        size.option('Brush size', 0);
+        for(let r = 8; r <= 64; r += 8) {
+            size.option(2 * r, r);
+        }
+        size.selected(settings.radius);
+        size.changed(function() {
+            settings.radius = Number(size.value());
+            trackingSettingsSave();
+        });
+    }
+}
+
+// Toggle sound notes detection status
+function listeningToggle() {
+    
+    // Start with the microphone when there's no audio input yet
+    if(! audioInput) {
+        audioMicrophone(listeningToggle);
+        return;
+    }
+    
+    // Toggle status
+    if(listening) {
+        listening = false;
+        musicLevel = 1;
+        musicChord = [];
+        listeningNote = null;
+        pitchStabilizer.reset();
+        buttonListening.html('<i class="fas fa-microphone-slash fa-lg fa-fw"></i>');
+        buttonLabel(buttonListening, 'Enable sound notes detection (M)', false);
+    } else {
+        listening = true;
+        buttonListening.html('<i class="fas fa-microphone fa-lg fa-fw"></i>');
+        buttonLabel(buttonListening, 'Disable sound notes detection (M)', true);
+    }
+    
+}
+
+// Create the audio context and the audio analysers, the first time
+function audioSetup() {
+    if(audio) return;
+    audio = new AudioContext();
+    audioAnalyser = audio.createAnalyser();
+    audioAnalyser.fftSize = 2048;
+    audioChordAnalyser = audio.createAnalyser();
+    audioChordAnalyser.fftSize = 8192;
+}
+
+// Connect an audio node to the audio analysers, instead of the previous one
+function audioConnect(node) {
+    if(audioInput) {
+        audioInput.disconnect(audioAnalyser);
+        audioInput.disconnect(audioChordAnalyser);
+    }
+    audioInput = node;
+    audioInput.connect(audioAnalyser);
+    audioInput.connect(audioChordAnalyser);
+}
+
+// Use the microphone as audio input, stopping the audio file (the microphone stream is asked once, and reused)
+function audioMicrophone(callback) {
+    let connect = function() {
+        audioSetup();
+        audioFileStop();
+        if(! audioStreamSource) audioStreamSource = audio.createMediaStreamSource(audioStream);
+        audioConnect(audioStreamSource);
+        audio.resume();
+        if(callback) callback();
+    };
+    if(audioStream && audioStream.active) {
+        connect();
+        return;
+    }
+    navigator.mediaDevices.getUserMedia({
+        audio: true,
+    }).then(function(stream) {
+        audioStream = stream;
+        audioStreamSource = null;
+        connect();
+    }).catch(function(error) {
+        console.log(error);
+    });
+}
+
+// Close the microphone stream, so the browser stops recording
+function audioMicrophoneStop() {
+    if(! audioStream) return;
+    audioStream.getTracks().forEach(function(track) {
+        track.stop();
+    });
+    audioStream = null;
+    audioStreamSource = null;
+}
+
+// Stop the audio file, releasing its data
+function audioFileStop() {
+    if(! audioElement) return;
+    audioElement.pause();
+    URL.revokeObjectURL(audioElement.src);
+    audioElement = null;
+}
+
+// Use an audio file as audio input, played in loop, closing the microphone
+function audioFileLoad(file) {
+    audioSetup();
+    audioFileStop();
+    audioMicrophoneStop();
+    audioElement = new Audio(URL.createObjectURL(file.file));
+    audioElement.loop = true;
+    
+    // The file is heard too, unlike the microphone
+    let source = audio.createMediaElementSource(audioElement);
+    source.connect(audio.destination);
+    audioConnect(source);
+    audio.resume();
+    audioElement.play();
+    generativePanelCreate();
+}
+
+// Play or pause the audio file
+function audioFileToggle() {
+    if(audioElement.paused) {
+        audio.resume();
+        audioElement.play();
+    } else {
+        audioElement.pause();
+    }
+    generativePanelCreate();
+}
+
+// Toggle the audio-reactive generative painting, starting with the microphone when there's no audio input yet (or playing the audio file chosen)
+function generativeToggle() {
+    if(! audioInput) {
+        audioMicrophone(generativeToggle);
+        return;
+    }
+    generative = ! generative;
+    if(generative) {
+        if(audioElement && audioElement.paused) audioFileToggle();
+        generativeState = {
+            x: paintingWidth / 2,
+            y: paintingHeight / 2,
+            spectrum: null,
+            flux: [],
+            onset: -Infinity,
+        };
+        buttonGenerative.html('<i class="fas fa-wave-square fa-lg fa-fw"></i>');
+        buttonLabel(buttonGenerative, 'Disable audio-reactive generative painting (N)', true);
+    } else {
+        delete strokePaths['audio'];
+        buttonGenerative.html('<i class="fas fa-volume-off fa-lg fa-fw"></i>');
+        buttonLabel(buttonGenerative, 'Enable audio-reactive generative painting (N)', false);
+    }
+}
+
+// Paint from the audio spectrum: onsets spawn strokes, the energy sizes them and the spectral centroid moves them
+function generativeUpdate() {
+    let preset = generativePresets[generativePreset],
+        state = generativeState,
+        spectrum = new Float32Array(audioAnalyser.frequencyBinCount),
+        binWidth = audio.sampleRate / audioAnalyser.fftSize;
+    audioAnalyser.getFloatFrequencyData(spectrum);
+    
+    // Level of each frequency bin, from 0 to 1
+    for(let i = 0; i < spectrum.length; i++) {
+        spectrum[i] = constrain((spectrum[i] - audioAnalyser.minDecibels) / (audioAnalyser.maxDecibels - audioAnalyser.minDecibels), 0, 1);
+    }
+    
+    // Energy of the bass, mid and treble bands, and spectral centroid (on a logarithmic scale, from 0 to 1)
+    let bands = {
+            bass: [20, 250],
+            mid: [250, 2000],
+            treble: [2000, 8000],
+        },
+        energy = {},
+        weighted = 0,
+        total = 0;
+    for(let band in bands) {
+        let first = max(1, floor(bands[band][0] / binWidth)),
+            last = min(spectrum.length, ceil(bands[band][1] / binWidth)),
+            sum = 0;
+        for(let i = first; i < last; i++) {
+            sum += spectrum[i];
+            weighted += spectrum[i] * Math.log2(i * binWidth);
+            total += spectrum[i];
+        }
+        energy[band] = sum / (last - first);
+    }
+    energy.all = (energy.bass + energy.mid + energy.treble) / 3;
+    let centroid = total ? map(weighted / total, Math.log2(100), Math.log2(8000), 0, 1, true) : 0.5;
+    
+    // Spectral flux: how much the spectrum grew since the previous frame
+    let flux = 0;
+    if(state.spectrum) {
+        for(let i = 0; i < spectrum.length; i++) {
+            flux += max(0, spectrum[i] - state.spectrum[i]);
+        }
+    }
+    state.spectrum = spectrum;
+    
+    // An onset is a flux above the recent average, not too close to the previous onset
+    let average = state.flux.length ? state.flux.reduce(function(a, b) {
+            return a + b;
+        }) / state.flux.length : Infinity,
+        onset = flux > average * preset.sensitivity && flux > 1 && frameCount - state.onset > preset.gap;
+    state.flux.push(flux);
+    if(state.flux.length > drawFrameRate) state.flux.shift();
+    
+    // The spectral centroid moves the position from left (deep sounds) to right (bright sounds), drifting up and down
+    state.x = lerp(state.x, centroid * paintingWidth, 0.1);
+    state.y = lerp(state.y, noise(frameCount * preset.drift) * paintingHeight, 0.1);
+    let c = preset.color === 'spectrum' ? colors[min(colors.length - 1, floor(centroid * colors.length))] : brushColor,
+        r = lerp(preset.radius[0], preset.radius[1], constrain(energy.bass * 2, 0, 1)),
+        load = lerp(preset.load[0], preset.load[1], constrain(energy.all * 2, 0, 1));
+    
+    // A loud sound keeps a flowing stroke at the position
+    if(energy.all > preset.flow) strokePathTo('audio', {
+        x: state.x,
+        y: state.y,
+    }, 'audio', c, r, 0.8);
+    
+    // An onset spawns a burst of strokes around the position
+    if(onset) {
+        state.onset = frameCount;
+        let v = [];
+        for(let i = 0; i < preset.burst; i++) {
+            v.push({
+                x: constrain(state.x + randomGaussian(0, preset.scatter * paintingWidth), 0, paintingWidth),
+                y: constrain(state.y + randomGaussian(0, preset.scatter * paintingHeight), 0, paintingHeight),
+            });
+        }
+        for(let i = 0; i < v.length; i++) {
+            paint(v[i], 'audio', c, r, load);
+        }
+    }
+}
+
+// Show or hide the generative painting settings panel
+function generativePanelToggle() {
+    if(generativePanel.elt.style.display === 'none') {
+        generativePanel.show();
+    } else {
+        generativePanel.hide();
+    }
+}
+
+// Generate the preset and audio input controls of the generative painting settings panel
+function generativePanelCreate() {
+    generativePanel.html('');
+    
+    // Preset selector
+    let row = createDiv('Preset');
+    row.parent(generativePanel);
+    row.addClass('panel-row');
+    row.addClass('panel-setting');
+    let preset = createSelect();
+    preset.parent(row);
+    for(let p in generativePresets) {
+        preset.option(p);
+    }
+    preset.selected(generativePreset);
+    preset.changed(function() {
+        generativePreset = preset.value();
+    });
+    
+    // Audio input buttons: microphone, audio file, and play/pause of the audio file
+    row = createDiv();
+    row.parent(generativePanel);
+    row.addClass('panel-row');
+    let microphone = createButton('<i class="fas fa-microphone fa-fw"></i> Microphone');
+    microphone.parent(row);
+    microphone.mousePressed(function() {
+        audioMicrophone(generativePanelCreate);
+    });
+    let file = createButton('<i class="fas fa-file-audio fa-fw"></i> Audio file');
+    file.parent(row);
+    file.mousePressed(function() {
+        audioFileInput.elt.click();
+    });
+    if(audioElement) {
+        let play = createButton('<i class="fas fa-' + (audioElement.paused ? 'play' : 'pause') + ' fa-fw"></i>');
+        play.parent(row);
+        play.attribute('title', audioElement.paused ? 'Play the audio file' : 'Pause the audio file');
+        play.mousePressed(audioFileToggle);
+    }
+}
+
+// Set color picker position (on the palette index given for shaded colors), hidden if the color isn't in the palette, checking its palette color
+function colorPicker(c, index) {
+    let i = colors.indexOf(c),
+        swatches = paletteBar.elt.children;
+    
+    // A shaded color keeps the picker on the palette color it comes from
+    if(index !== undefined) {
+        brushShade = {
+            color: c,
+            index: index,
+        };
+        i = index;
+    } else if(i < 0 && brushShade && brushShade.color === c) {
+        i = brushShade.index;
+    }
+    picker.style('visibility', i < 0 ? 'hidden' : 'visible');
+    picker.position(max(i, 0) * spacing, paletteTop - picker.size().height / 2);
+    for(let j = 0; j < swatches.length; j++) {
+        swatches[j].setAttribute('aria-checked', j === i ? 'true' : 'false');
+        swatches[j].setAttribute('tabindex', j === max(i, 0) ? '0' : '-1');
+    }
+}
+
+// Select a palette color, announcing its name
+function colorSelect(i) {
+    if(i < 0 || i >= colors.length) return;
+    brushColor = colors[i];
+    colorPicker(brushColor);
+    announce(colorNames[i]);
+}
+
+// Select the previous or next palette color, focusing it if the palette is focused
+function colorStep(direction) {
+    let i = (max(colors.indexOf(brushColor), 0) + direction + colors.length) % colors.length;
+    colorSelect(i);
+    if(paletteBar.elt.contains(document.activeElement)) paletteBar.elt.children[i].focus();
+}
+
+// Detect the notes played from the microphone, selecting their colors, and the loudness
+function listeningUpdate() {
+    
+    // Measure the loudness of the signal
+    if(! audioBuffer) audioBuffer = new Float32Array(audioAnalyser.fftSize);
+    audioAnalyser.getFloatTimeDomainData(audioBuffer);
+    musicLevel = map(pitchRms(audioBuffer), 0.01, 0.2, 0.4, 1.4, true);
+    
+    // Detect every note played at once, or the stable note from the audio frequency
+    let played = [];
+    if(music.chords) {
+        played = chordDetect();
+    } else {
+        pitchRequest(audioBuffer);
+        if(listeningNote !== null) played.push(listeningNote);
+    }
+    
+    // Use the sound notes to select colors, the brush cycling through the chord colors
+    if(played.length > 0) {
+        let note = played[floor(frameCount / 4) % played.length];
+        musicChord = played.map(noteColor);
+        brushColor = noteColor(note);
+        colorPicker(brushColor, noteIndex(note));
+    }
+}
+
+// Detect the audio frequency of a signal, on the pitch worker when available
+function pitchRequest(buffer) {
+    
+    // Start the pitch worker the first time, falling back to the render loop when workers can't run (as from local files)
+    if(pitchWorker === undefined) {
+        try {
+            pitchWorker = new Worker('pitch.js');
+            pitchWorker.onmessage = function(event) {
+                pitchWorkerBusy = false;
+                pitchResult(event.data.frequency);
             };
-        video = createCapture(mediaType, function () {
-            video.size(width, AUTO);
-            poseNet = ml5.poseNet(video);
-            poseNet.on('pose', function(r) {
-                poses = r;
-            });
-            video.hide();
-            trackingToggle();
-        });
-        
+            pitchWorker.onerror = function(error) {
+                console.log(error);
+                pitchWorker.terminate();
+                pitchWorker = null;
+            };
+        } catch(error) {
+            console.log(error);
+            pitchWorker = null;
+        }
     }
     
-    // Toggle status
-    if(poseNet && tracking) {
-        tracking = false;
-        buttonTracking.html('<i class="fas fa-video-slash fa-lg fa-fw"></i>');
-        buttonTracking.attribute('title', 'Enable pose tracking');
-    } else if(poseNet) {
-        tracking = true;
-        buttonTracking.html('<i class="fas fa-video fa-lg fa-fw"></i>');
-        buttonTracking.attribute('title', 'Disable pose tracking');
+    // Send a copy of the signal, unless the worker is still busy with the previous one
+    if(pitchWorker) {
+        if(pitchWorkerBusy) return;
+        pitchWorkerBusy = true;
+        let signal = buffer.slice();
+        pitchWorker.postMessage({
+            buffer: signal,
+            sampleRate: audio.sampleRate,
+            algorithm: music.pitch,
+        }, [signal.buffer]);
+    } else {
+        pitchResult(pitchDetect(buffer, audio.sampleRate, music.pitch));
     }
 }
 
-// Toggle sound notes detection status
-function listeningToggle() {
+// Update the stable note with a detected audio frequency (false without pitch)
+function pitchResult(frequency) {
+    if(listening) listeningNote = pitchStabilizer.update(frequency);
+}
+
+// Detect the notes of a chord from the spectral peaks, ignoring the harmonics of lower notes
+function chordDetect() {
+    let spectrum = new Float32Array(audioChordAnalyser.frequencyBinCount),
+        binWidth = audio.sampleRate / audioChordAnalyser.fftSize,
+        peaks = [];
+    audioChordAnalyser.getFloatFrequencyData(spectrum);
     
-    // Enable the audio node for the first time
-    if(! audioAnalyser) {
-        navigator.getUserMedia = navigator.getUserMedia || navigator.webkitGetUserMedia;
-        navigator.getUserMedia(
-            {
-                audio: true,
-            },
-            function (stream) {
-                audio = new AudioContext();
-                audioMic = audio.createMediaStreamSource(stream);
-                audioAnalyser = audio.createAnalyser();
-                audioAnalyser.fftSize = 2048;
-                audioMic.connect(audioAnalyser);
-                listeningToggle();
+    // Find the spectral peaks from C2 to C7, loud enough, with their interpolated frequency
+    let first = max(1, floor(noteFrequency(36) / binWidth)),
+        last = min(spectrum.length - 1, ceil(noteFrequency(96) / binWidth));
+    for(let i = first; i < last; i++) {
+        if(spectrum[i] < -60 || spectrum[i] <= spectrum[i - 1] || spectrum[i] < spectrum[i + 1]) continue;
+        let a = (spectrum[i - 1] + spectrum[i + 1] - 2 * spectrum[i]) / 2,
+            b = (spectrum[i + 1] - spectrum[i - 1]) / 2,
+            offset = a ? - b / (2 * a) : 0;
+        peaks.push({
+            frequency: (i + offset) * binWidth,
+            energy: Math.pow(10, spectrum[i] / 20),
+        });
+    }
+    
+    // Keep the peaks that aren't a harmonic of a louder lower peak, adding their energy by note
+    let energy = {};
+    for(let i = 0; i < peaks.length; i++) {
+        let harmonic = false;
+        for(let j = 0; j < i && ! harmonic; j++) {
+            let ratio = peaks[i].frequency / peaks[j].frequency;
+            harmonic = peaks[j].energy >= peaks[i].energy && round(ratio) <= 6 && abs(ratio - round(ratio)) < 0.03 * round(ratio);
+        }
+        if(harmonic) continue;
+        let note = frequencyNote(peaks[i].frequency);
+        energy[note] = (energy[note] || 0) + peaks[i].energy;
+    }
+    
+    // The notes of the chord are the four loudest, at least a third as loud as the loudest one
+    let played = Object.keys(energy).map(Number).sort(function(a, b) {
+        return energy[b] - energy[a];
+    });
+    return played.filter(function(note, i) {
+        return i < 4 && energy[note] >= energy[played[0]] / 3;
+    });
+}
+
+// Palette color for a MIDI note number, spreading the note mapping over the palette when it has fewer than 12 colors
+// The octave changes its lightness, from the palette color on the 4th octave (middle C)
+function noteColor(note) {
+    let c = colors[noteIndex(note)];
+    if(! music.octaves) return c;
+    let t = constrain((floor(note / 12) - 5) * 0.2, -0.6, 0.6),
+        shade = lerpColor(color(c), color(t > 0 ? 255 : 0), abs(t));
+    return rgbToHex(red(shade), green(shade), blue(shade));
+}
+
+// Palette index of the color of a MIDI note
+function noteIndex(note) {
+    let n = min(colors.length, notes.length);
+    return floor(notes[note % 12] * n / notes.length);
+}
+
+// Brush radius factor from the loudness, or from a MIDI velocity level
+function musicRadius(level) {
+    return music.amplitude === 'size' ? (level === undefined ? musicLevel : level) : 1;
+}
+
+// Stroke opacity from the loudness, or from a MIDI velocity level
+function musicOpacity(level) {
+    return music.amplitude === 'opacity' ? min(level === undefined ? musicLevel : level, 1) : 1;
+}
+
+// Toggle MIDI keyboard input, requesting the MIDI access the first time
+function midiToggle() {
+    if(! midiAccess) {
+        if(! navigator.requestMIDIAccess) {
+            console.log('Web MIDI is not supported');
+            musicPanelCreate();
+            return;
+        }
+        navigator.requestMIDIAccess().then(
+            function(access) {
+                midiAccess = access;
+                
+                // Also listen to the MIDI inputs connected later
+                midiAccess.onstatechange = midiConnect;
+                midiToggle();
             },
-            function (error) {
+            function(error) {
                 console.log(error);
+                musicPanelCreate();
             }
         );
+        return;
     }
+    midi = ! midi;
+    if(! midi) midiNotes = [];
+    midiConnect();
+    musicPanelCreate();
+}
 
-    // Toggle status
-    if(audioAnalyser && listening) {
-        listening = false;
-        buttonListening.html('<i class="fas fa-microphone-slash fa-lg fa-fw"></i>');
-        buttonListening.attribute('title', 'Enable sound notes detection');
-    } else if(audioAnalyser) {
-        listening = true;
-        buttonListening.html('<i class="fas fa-microphone fa-lg fa-fw"></i>');
-        buttonListening.attribute('title', 'Disable sound notes detection');
+// Listen (or stop listening) to the notes of every MIDI input
+function midiConnect() {
+    midiAccess.inputs.forEach(function(input) {
+        input.onmidimessage = midi ? midiMessage : null;
+    });
+}
+
+// MIDI message event handler, keeping the notes played until the next frame
+function midiMessage(event) {
+    let command = event.data[0] & 0xf0,
+        note = event.data[1],
+        velocity = event.data[2];
+    
+    // Note on messages only, as a zero velocity note on is a note off, and none while replaying
+    if(command === 0x90 && velocity > 0 && ! replay) {
+        midiNotes.push({
+            note: note,
+            velocity: velocity,
+        });
+    }
+}
+
+// Select the colors of the MIDI notes received, painting a stroke for each one
+function midiUpdate() {
+    for(let i = 0; i < midiNotes.length; i++) {
+        let m = midiNotes[i];
+        brushColor = noteColor(m.note);
+        colorPicker(brushColor, noteIndex(m.note));
+        
+        // The velocity only changes the strokes of the MIDI notes, not the next mouse or pose strokes
+        let level = lerp(0.4, 1.4, m.velocity / 127);
+        
+        // The pitch places the stroke from left (low notes) to right (high notes), louder notes higher on the canvas
+        if(music.midiStrokes) {
+            paint({
+                x: map(m.note, 21, 108, 0, paintingWidth, true),
+                y: map(m.velocity, 0, 127, paintingHeight * 0.9, paintingHeight * 0.1) + random(-0.1, 0.1) * paintingHeight,
+            }, 'midi', brushColor, brushRadius * musicRadius(level), 1, musicOpacity(level));
+        }
     }
+    midiNotes = [];
+}
+
+// Restore the musical mode settings and note colors of the previous session
+function musicSettingsLoad() {
+    try {
+        let saved = JSON.parse(localStorage.getItem('watercolor-music'));
+        if(saved) {
+            music = Object.assign(music, saved.music);
+            if(saved.notes && saved.notes.length === 12) notes = saved.notes;
+        }
+    } catch(error) {
+        console.log(error);
+    }
+    musicPanelCreate();
+}
+
+// Save the musical mode settings and note colors for the next sessions
+function musicSettingsSave() {
+    try {
+        localStorage.setItem('watercolor-music', JSON.stringify({
+            music: music,
+            notes: notes,
+        }));
+    } catch(error) {
+        console.log(error);
+    }
+}
+
+// Show or hide the musical mode settings panel
+function musicPanelToggle() {
+    if(musicPanel.elt.style.display === 'none') {
+        musicPanel.show();
+    } else {
+        musicPanel.hide();
+    }
+}
+
+// Generate the musical mode controls and the note colors editor of the musical mode settings panel
+function musicPanelCreate() {
+    if(! musicPanel) return;
+    musicPanel.html('');
+    
+    // Amplitude selector
+    let row = createDiv('Loudness changes');
+    row.parent(musicPanel);
+    row.addClass('panel-row');
+    row.addClass('panel-setting');
+    let amplitude = createSelect();
+    amplitude.parent(row);
+    amplitude.option('Nothing', 'none');
+    amplitude.option('Brush size', 'size');
+    amplitude.option('Opacity', 'opacity');
+    amplitude.selected(music.amplitude);
+    amplitude.changed(function() {
+        music.amplitude = amplitude.value();
+        musicSettingsSave();
+    });
+    
+    // Pitch detection algorithm selector
+    row = createDiv('Pitch detection');
+    row.parent(musicPanel);
+    row.addClass('panel-row');
+    row.addClass('panel-setting');
+    let pitch = createSelect();
+    pitch.parent(row);
+    pitch.option('ACF2+', 'acf2plus');
+    pitch.option('YIN', 'yin');
+    pitch.option('McLeod (MPM)', 'mpm');
+    pitch.selected(music.pitch);
+    pitch.changed(function() {
+        music.pitch = pitch.value();
+        pitchStabilizer.reset();
+        musicSettingsSave();
+    });
+    
+    // Octave lightness checkbox
+    row = createDiv();
+    row.parent(musicPanel);
+    row.addClass('panel-row');
+    let octaves = createCheckbox('Lighter colors for higher octaves', music.octaves);
+    octaves.parent(row);
+    octaves.changed(function() {
+        music.octaves = octaves.checked();
+        musicSettingsSave();
+    });
+    
+    // Chords detection checkbox
+    row = createDiv();
+    row.parent(musicPanel);
+    row.addClass('panel-row');
+    let chords = createCheckbox('Detect chords', music.chords);
+    chords.parent(row);
+    chords.attribute('title', 'Detect several notes at once, painting with each of their colors');
+    chords.changed(function() {
+        music.chords = chords.checked();
+        musicSettingsSave();
+    });
     
+    // MIDI keyboard input checkbox, and MIDI strokes checkbox
+    row = createDiv();
+    row.parent(musicPanel);
+    row.addClass('panel-row');
+    let midiInput = createCheckbox('MIDI keyboard input', midi);
+    midiInput.parent(row);
+    midiInput.changed(midiToggle);
+    row = createDiv();
+    row.parent(musicPanel);
+    row.addClass('panel-row');
+    let midiStrokes = createCheckbox('MIDI notes paint strokes', music.midiStrokes);
+    midiStrokes.parent(row);
+    midiStrokes.attribute('title', 'Otherwise MIDI notes only pick colors');
+    midiStrokes.changed(function() {
+        music.midiStrokes = midiStrokes.checked();
+        musicSettingsSave();
+    });
+    
+    // A row for each note, selecting its palette color (the first 12 colors of larger palettes)
+    let n = min(colors.length, notes.length);
+    for(let i = 0; i < notes.length; i++) {
+        row = createDiv(noteNames[i]);
+        row.parent(musicPanel);
+        row.addClass('panel-row');
+        row.addClass('panel-setting');
+        let swatch = createSelect();
+        swatch.parent(row);
+        for(let j = 0; j < n; j++) {
+            swatch.option(colorNames[j], j);
+        }
+        let selected = floor(notes[i] * n / notes.length);
+        swatch.selected(selected);
+        swatch.style('background', colors[selected]);
+        swatch.changed(function() {
+            
+            // The note takes the first mapping position of the color
+            notes[i] = ceil(Number(swatch.value()) * notes.length / n);
+            musicSettingsSave();
+            musicPanelCreate();
+        });
+    }
 }
 
-// Set color picker position
-function colorPicker(c) {
-    picker.position(colors.indexOf(c) * spacing, height - picker.size().height / 2);
+// Replace the color palette, naming the colors without name after their hex value
+function paletteSet(c, names) {
+    colors = c.slice();
+    colorNames = [];
+    for(let i = 0; i < colors.length; i++) {
+        colorNames.push(names && names[i] ? names[i] : colors[i]);
+    }
+    paletteUpdate();
 }
 
-// Save mouse position inside canvas
-function saveMouse() {
-    if(mouseX <= width && mouseY <= height) {
-        lastMouse = {
-            x: mouseX,
-            y: mouseY,
-        };
+// Rebuild the color palette at the bottom of the page, and everything showing its colors
+function paletteUpdate() {
+    spacing = window.innerWidth / colors.length;
+    paletteBar.html('');
+    for(let i = 0; i < colors.length; i++) {
+        let colorPick = createDiv('&nbsp;');
+        colorPick.parent(paletteBar);
+        colorPick.size(spacing, 49);
+        colorPick.style('background', pigmentMixing ? 'linear-gradient(' + colors[i] + ', ' + pigmentMix(paperColor, colors[i], 0.25) + ')' : colors[i]);
+        colorPick.style('user-select', 'none');
+        colorPick.attribute('title', colorNames[i]);
+        colorPick.attribute('role', 'radio');
+        colorPick.attribute('aria-label', colorNames[i]);
+        colorPick.position(i * spacing, 0);
+        colorPick.mousePressed(function() {
+            colorSelect(i);
+        });
+        
+        // Enter or Space select the focused color (arrow keys move through the palette)
+        colorPick.elt.addEventListener('keydown', function(event) {
+            if(event.key === 'Enter' || event.key === ' ') {
+                colorSelect(i);
+                event.preventDefault();
+            }
+        });
     }
+    picker.size(spacing);
+    colorPicker(brushColor);
+    if(trackingPanel) trackingPanelCreate();
+    musicPanelCreate();
+    if(palettePanel && palettePanel.elt.style.display !== 'none') palettePanelCreate();
 }
 
-// Paint using brush and strokes classes, specifying a vertex
-function paint(v) {
-    let p = new Strokes(new Brush([v]));
-    p.deform();
-    p.show();
+// Show or hide the palette editor panel
+function palettePanelToggle() {
+    if(palettePanel.elt.style.display === 'none') {
+        palettePanelCreate();
+        palettePanel.show();
+    } else {
+        palettePanel.hide();
+    }
 }
 
-// ACF2+ signal frequency detection method
-function acf2plus(buffer) {
+// Generate the presets, swatches, import and export controls of the palette editor panel
+function palettePanelCreate() {
+    palettePanel.html('');
+    
+    // Preset selector
+    let row = createDiv('Preset');
+    row.parent(palettePanel);
+    row.addClass('panel-row');
+    row.addClass('panel-setting');
+    let preset = createSelect();
+    preset.parent(row);
+    preset.option('Choose a preset', '');
+    for(let name in palettePresets) {
+        preset.option(name);
+    }
+    preset.changed(function() {
+        if(palettePresets[preset.value()]) paletteSet(palettePresets[preset.value()].colors, palettePresets[preset.value()].names);
+    });
+    
+    // Import and export buttons
+    row = createDiv();
+    row.parent(palettePanel);
+    row.addClass('panel-row');
+    let load = createButton('<i class="fas fa-file-import fa-fw"></i> Import');
+    load.parent(row);
+    load.attribute('title', 'Import a palette (GIMP .gpl, Adobe .ase, JSON or hex list)');
+    load.mousePressed(function() {
+        paletteInput.elt.click();
+    });
+    let formats = ['gpl', 'ase', 'json'];
+    for(let i = 0; i < formats.length; i++) {
+        let save = createButton('.' + formats[i]);
+        save.parent(row);
+        save.attribute('title', 'Export the palette as .' + formats[i]);
+        save.mousePressed(function() {
+            paletteSave(formats[i]);
+        });
+    }
     
-    // Measure the signal
-    let rms = 0;
-    for(let i = 0; i < buffer.length; i++) {
-        rms += buffer[i] * buffer[i];
+    // A row for each swatch: color, name, move up, move down and delete
+    for(let i = 0; i < colors.length; i++) {
+        row = createDiv();
+        row.parent(palettePanel);
+        row.addClass('panel-row');
+        let swatch = createColorPicker(colors[i]);
+        swatch.parent(row);
+        swatch.attribute('title', 'Recolor');
+        swatch.changed(function() {
+            let selected = brushColor === colors[i];
+            colors[i] = swatch.value();
+            if(selected) brushColor = colors[i];
+            paletteUpdate();
+        });
+        let name = createInput(colorNames[i]);
+        name.parent(row);
+        name.addClass('panel-name');
+        name.attribute('title', 'Rename');
+        name.changed(function() {
+            colorNames[i] = name.value();
+            paletteUpdate();
+        });
+        let up = createButton('<i class="fas fa-arrow-left fa-fw"></i>');
+        up.parent(row);
+        up.attribute('title', 'Move left');
+        up.mousePressed(function() {
+            paletteMove(i, -1);
+        });
+        let down = createButton('<i class="fas fa-arrow-right fa-fw"></i>');
+        down.parent(row);
+        down.attribute('title', 'Move right');
+        down.mousePressed(function() {
+            paletteMove(i, 1);
+        });
+        let remove = createButton('<i class="fas fa-trash fa-fw"></i>');
+        remove.parent(row);
+        remove.attribute('title', 'Remove');
+        if(colors.length < 2) remove.attribute('disabled', '');
+        remove.mousePressed(function() {
+            colors.splice(i, 1);
+            colorNames.splice(i, 1);
+            paletteUpdate();
+        });
     }
-    rms = Math.sqrt(rms / buffer.length);
     
-    // Stop. Signal too short
-    if(rms < 0.01) return false;
+    // Add swatch button
+    let add = createButton('<i class="fas fa-plus fa-fw"></i> Add color');
+    add.parent(palettePanel);
+    add.mousePressed(function() {
+        colors.push('#808080');
+        colorNames.push('#808080');
+        paletteUpdate();
+    });
+}
+
+// Move a palette color to the left (-1) or right (1)
+function paletteMove(i, direction) {
+    let j = i + direction;
+    if(j < 0 || j >= colors.length) return;
+    let c = colors[i],
+        name = colorNames[i];
+    colors[i] = colors[j];
+    colorNames[i] = colorNames[j];
+    colors[j] = c;
+    colorNames[j] = name;
+    paletteUpdate();
+}
+
+// Read a palette file chosen in the file input, by its extension
+function paletteLoad(file) {
+    let extension = file.name.split('.').pop().toLowerCase(),
+        read = extension === 'ase' ? file.file.arrayBuffer() : file.file.text();
+    read.then(function(data) {
+        let palette;
+        if(extension === 'ase') {
+            palette = paletteParseAse(data);
+        } else if(extension === 'gpl') {
+            palette = paletteParseGpl(data);
+        } else if(extension === 'json') {
+            palette = paletteParseJson(JSON.parse(data));
+        } else {
+            palette = paletteParseHex(data);
+        }
+        if(palette.colors.length === 0) throw new Error('no colors found');
+        paletteSet(palette.colors, palette.names);
+    }).catch(function(error) {
+        console.log(error);
+        alert('"' + file.name + '" can\'t be imported as a palette: ' + error.message);
+    });
     
-    // Trimming the edges of the signal
-    let r1 = 0,
-        r1Found = false,
-        r2 = buffer.length - 1,
-        r2Found = false;
-    for(let i = 0; i < buffer.length / 2; i++) {
-        if(! r1Found && Math.abs(buffer[i]) < 0.2) {
-            r1 = i;
-            r1Found = true;
+    // Let the same file be chosen again
+    paletteInput.elt.value = '';
+}
+
+// Parse a GIMP palette (.gpl): a header, then a "red green blue name" line for each color
+function paletteParseGpl(text) {
+    let palette = {
+            colors: [],
+            names: [],
+        },
+        lines = text.split(/\r?\n/);
+    for(let i = 0; i < lines.length; i++) {
+        let m = lines[i].match(/^\s*(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/);
+        if(! m) continue;
+        palette.colors.push(rgbToHex(Number(m[1]), Number(m[2]), Number(m[3])));
+        palette.names.push(m[4].trim());
+    }
+    return palette;
+}
+
+// Parse an Adobe Swatch Exchange palette (.ase), converting RGB, CMYK, LAB and gray colors to RGB
+function paletteParseAse(buffer) {
+    let view = new DataView(buffer),
+        palette = {
+            colors: [],
+            names: [],
+        };
+    if(buffer.byteLength < 12 || view.getUint32(0) !== 0x41534546) throw new Error('not an Adobe Swatch Exchange file');
+    let blocks = view.getUint32(8),
+        offset = 12;
+    for(let i = 0; i < blocks; i++) {
+        
+        // Each block has a type and a length, and must fit in the file
+        if(offset + 6 > buffer.byteLength) throw new Error('the file is truncated');
+        let type = view.getUint16(offset),
+            p = offset + 6;
+        offset = p + view.getUint32(offset + 2);
+        if(offset > buffer.byteLength) throw new Error('the file is truncated');
+        
+        // Skip group start and end blocks
+        if(type !== 0x0001) continue;
+        
+        // Name, as null terminated UTF-16
+        if(p + 2 > offset) throw new Error('swatch ' + (palette.colors.length + 1) + ' is truncated');
+        let length = view.getUint16(p),
+            name = '';
+        if(p + 2 + length * 2 + 4 > offset) throw new Error('swatch ' + (palette.colors.length + 1) + ' is truncated');
+        p += 2;
+        for(let j = 0; j < length - 1; j++) {
+            name += String.fromCharCode(view.getUint16(p + j * 2));
+        }
+        p += length * 2;
+        
+        // Color model and values
+        let model = String.fromCharCode(view.getUint8(p), view.getUint8(p + 1), view.getUint8(p + 2), view.getUint8(p + 3)).trim(),
+            v = [];
+        p += 4;
+        for(let j = 0; j < 4 && p + j * 4 + 4 <= offset; j++) {
+            v.push(view.getFloat32(p + j * 4));
+        }
+        if(model === 'RGB') {
+            palette.colors.push(rgbToHex(v[0] * 255, v[1] * 255, v[2] * 255));
+        } else if(model === 'CMYK') {
+            palette.colors.push(rgbToHex(255 * (1 - v[0]) * (1 - v[3]), 255 * (1 - v[1]) * (1 - v[3]), 255 * (1 - v[2]) * (1 - v[3])));
+        } else if(model === 'Gray') {
+            palette.colors.push(rgbToHex(v[0] * 255, v[0] * 255, v[0] * 255));
+        } else if(model === 'LAB') {
+            palette.colors.push(labToHex(v[0] * 100, v[1], v[2]));
+        } else {
+            continue;
+        }
+        palette.names.push(name);
+    }
+    return palette;
+}
+
+// Parse a JSON palette: a list of hex colors or {name, color} objects, or an object with colors and names lists
+function paletteParseJson(data) {
+    let palette = {
+            colors: [],
+            names: [],
+        },
+        list = Array.isArray(data) ? data : data && data.colors;
+    if(! Array.isArray(list)) throw new Error('no colors list');
+    for(let i = 0; i < list.length; i++) {
+        let c = typeof list[i] === 'string' ? list[i] : list[i] && (list[i].color || list[i].hex),
+            name = typeof list[i] === 'string' ? (Array.isArray(data.names) ? data.names[i] : '') : list[i] && list[i].name;
+        if(! /^#?[0-9a-f]{6}$/i.test(c)) continue;
+        palette.colors.push(('#' + c.replace('#', '')).toLowerCase());
+        palette.names.push(typeof name === 'string' ? name : '');
+    }
+    return palette;
+}
+
+// Parse a plain list of hex colors, separated by anything
+function paletteParseHex(text) {
+    let palette = {
+            colors: [],
+            names: [],
+        },
+        matches = text.match(/#?\b[0-9a-f]{6}\b/gi) || [];
+    for(let i = 0; i < matches.length; i++) {
+        palette.colors.push(('#' + matches[i].replace('#', '')).toLowerCase());
+    }
+    return palette;
+}
+
+// Download the color palette as a GIMP palette (.gpl), Adobe Swatch Exchange (.ase) or JSON file
+function paletteSave(format) {
+    let filename = 'watercolor-palette-' + new Date().getTime() + '.' + format,
+        data;
+    if(format === 'gpl') {
+        data = 'GIMP Palette\nName: Watercolor\nColumns: ' + colors.length + '\n#\n';
+        for(let i = 0; i < colors.length; i++) {
+            let c = color(colors[i]);
+            data += [red(c), green(c), blue(c)].map(function(v) {
+                return String(v).padStart(3, ' ');
+            }).join(' ') + '\t' + colorNames[i] + '\n';
+        }
+        downloadBlob(new Blob([data], {
+            type: 'text/plain',
+        }), filename);
+    } else if(format === 'ase') {
+        downloadBlob(new Blob([paletteAse()], {
+            type: 'application/octet-stream',
+        }), filename);
+    } else {
+        downloadBlob(new Blob([JSON.stringify({
+            colors: colors,
+            names: colorNames,
+        }, null, 4)], {
+            type: 'application/json',
+        }), filename);
+    }
+}
+
+// Encode the color palette as an Adobe Swatch Exchange file, with RGB global colors
+function paletteAse() {
+    let size = 12;
+    for(let i = 0; i < colors.length; i++) {
+        size += 6 + 2 + (colorNames[i].length + 1) * 2 + 4 + 12 + 2;
+    }
+    let buffer = new ArrayBuffer(size),
+        view = new DataView(buffer),
+        p = 12;
+    view.setUint32(0, 0x41534546);
+    view.setUint16(4, 1);
+    view.setUint16(6, 0);
+    view.setUint32(8, colors.length);
+    for(let i = 0; i < colors.length; i++) {
+        let name = colorNames[i],
+            c = color(colors[i]);
+        view.setUint16(p, 0x0001);
+        view.setUint32(p + 2, 2 + (name.length + 1) * 2 + 4 + 12 + 2);
+        p += 6;
+        view.setUint16(p, name.length + 1);
+        p += 2;
+        for(let j = 0; j < name.length; j++) {
+            view.setUint16(p, name.charCodeAt(j));
+            p += 2;
+        }
+        view.setUint16(p, 0);
+        p += 2;
+        for(let j = 0; j < 4; j++) {
+            view.setUint8(p + j, 'RGB '.charCodeAt(j));
         }
-        if(! r2Found && Math.abs(buffer[buffer.length - i]) < 0.2) {
-            r2 = buffer.length - i;
-            r2Found = true;
+        p += 4;
+        view.setFloat32(p, red(c) / 255);
+        view.setFloat32(p + 4, green(c) / 255);
+        view.setFloat32(p + 8, blue(c) / 255);
+        p += 12;
+        view.setUint16(p, 0);
+        p += 2;
+    }
+    return buffer;
+}
+
+// Hex color from red, green and blue values (0 to 255)
+function rgbToHex(r, g, b) {
+    return '#' + [r, g, b].map(function(v) {
+        return constrain(round(v), 0, 255).toString(16).padStart(2, '0');
+    }).join('');
+}
+
+// Hex color from CIE L*a*b* values (D65 white)
+function labToHex(l, a, b) {
+    let y = (l + 16) / 116,
+        x = a / 500 + y,
+        z = y - b / 200,
+        f = function(t) {
+            return t * t * t > 0.008856 ? t * t * t : (t - 16 / 116) / 7.787;
+        },
+        gamma = function(c) {
+            return 255 * (c > 0.0031308 ? 1.055 * Math.pow(c, 1 / 2.4) - 0.055 : 12.92 * c);
+        };
+    x = 0.95047 * f(x);
+    y = f(y);
+    z = 1.08883 * f(z);
+    return rgbToHex(gamma(x * 3.2406 - y * 1.5372 - z * 0.4986), gamma(-x * 0.9689 + y * 1.8758 + z * 0.0415), gamma(x * 0.0557 - y * 0.2040 + z * 1.0570));
+}
+
+// Read the painting position, pressure and tilt of a pointer event
+// Tracking mirrors the body part positions, not the canvas, so pointer positions never need mirroring
+function pointerRead(event) {
+    let rect = canvas.elt.getBoundingClientRect();
+    return {
+        x: ((event.clientX - rect.left) * width / rect.width - viewX) / viewScale,
+        y: ((event.clientY - rect.top) * height / rect.height - viewY) / viewScale,
+        source: event.pointerType || 'mouse',
+        pressure: event.pressure,
+        tilt: max(abs(event.tiltX || 0), abs(event.tiltY || 0)),
+        moved: true,
+    };
+}
+
+// Brush radius factor for a pointer: stylus pressure makes it wider, and tilting it uses the side of the brush
+function pointerRadius(p) {
+    if(p.source !== 'pen') return 1;
+    return lerp(0.3, 1.3, p.pressure) * lerp(1, 1.5, p.tilt / 90);
+}
+
+// Stroke opacity for a pointer: light stylus pressure and tilting it leave less pigment
+function pointerOpacity(p) {
+    if(p.source !== 'pen') return 1;
+    return lerp(0.3, 1, p.pressure) * lerp(1, 0.6, p.tilt / 90);
+}
+
+// Continue a stroke path (created if new) to a point
+function strokePathTo(key, v, source, c, r, smoothing, opacity) {
+    if(! strokePaths[key]) strokePaths[key] = new StrokePath();
+    strokePaths[key].to(v, source, c, r, smoothing, opacity);
+}
+
+// End the stroke paths without input for a while
+function strokePathsUpdate() {
+    for(let key in strokePaths) {
+        if(frameCount - strokePaths[key].frame > strokeGapFrames) delete strokePaths[key];
+    }
+}
+
+// Mirror a tracked body part position, as the camera image is mirrored on the canvas
+function mirror(v) {
+    return {
+        x: paintingWidth - v.x,
+        y: v.y,
+    };
+}
+
+// Paint using brush and strokes classes, specifying a vertex and the input source (mouse, touch or pose)
+function paint(v, source, c, r, load, opacity) {
+    c = c || brushColor;
+    r = r || brushRadius;
+    
+    // Group the strokes in painting actions (replays record their own actions)
+    if(! replay) paintHistory.track();
+    
+    // Seed the randomness of each stroke, so the painting can be replayed from its recording
+    randomSeed(recording.seed + recording.strokes);
+    recording.strokes++;
+    let e = {
+        type: 'paint',
+        x: v.x,
+        y: v.y,
+        color: c,
+        radius: r,
+        load: load,
+        opacity: opacity,
+        pigment: pigmentMixing,
+        brush: brushPreset,
+        source: source,
+        layer: activeLayer.id,
+    };
+    recordEvent(e);
+    
+    paintStroke(activeLayer.buffer, e);
+    
+    // Keep the stroke wet, to spread and mix with its neighbours (lifting only removes paint)
+    if(wet && ! brushPresets[brushPreset].lift) wetStrokes.push(new WetStroke(v, c, r, activeLayer));
+}
+
+// Paint a recorded stroke on a graphics buffer: position, color, brush radius, paint load (fewer paint layers when lower than 1), opacity, pigment mixing and brush preset
+function paintStroke(g, e) {
+    let preset = brushPresets[e.brush] || brushPresets.watercolor,
+        c = e.color,
+        settings = e.paper || paper,
+        drops = [{
+            x: e.x,
+            y: e.y,
+            radius: e.radius,
+        }];
+    
+    // Dry brush and splatter scatter small drops around the position instead of a single stroke
+    if(preset.drops) {
+        drops = [];
+        for(let i = 0; i < preset.drops; i++) {
+            let a = random(TWO_PI),
+                d = sqrt(random()) * preset.spread * e.radius;
+            drops.push({
+                x: e.x + cos(a) * d,
+                y: e.y + sin(a) * d,
+                radius: e.radius * preset.scale * random(0.5, 1.5),
+            });
         }
-        if(r1Found && r2Found) break;
     }
-    buffer = buffer.slice(r1, r2);
     
-    // Autocorrelation
-    let c = new Array(buffer.length).fill(0);
-    for(let i = 0; i < buffer.length; i++) {
-        for(let j = 0; j < buffer.length - i; j++) {
-            c[i] = c[i] + buffer[j] * buffer[j + i];
+    // Lifting removes the pigment already on the buffer
+    g.drawingContext.globalCompositeOperation = preset.lift ? 'destination-out' : 'source-over';
+    for(let i = 0; i < drops.length; i++) {
+        let b = new Brush([{
+                x: drops[i].x,
+                y: drops[i].y,
+            }], c, drops[i].radius, preset),
+            p = new Strokes(b, random(preset.layers[0], preset.layers[1]) * (e.load || 1));
+        p.deform();
+        
+        // Pigment settles in the paper grain and darkens the stroke edges
+        let finish = function() {
+            g.drawingContext.globalAlpha = e.opacity || 1;
+            if(settings.edges * preset.edges > 0) p.layers[p.layers.length - 1].edge(g, settings.edges * preset.edges);
+            g.drawingContext.globalAlpha = 1;
+            if(! preset.lift && settings.granulation > 0 && paperTextures[settings.texture]) paperGranulate(g, p, settings);
+        };
+        
+        // Strokes mixed as pigments wait for the end of the frame, the others are painted after them
+        if(e.pigment && ! preset.lift) {
+            pigmentComposite(g, p, e.opacity || 1, finish);
+        } else {
+            pigmentFlush();
+            g.drawingContext.globalAlpha = e.opacity || 1;
+            p.show(g);
+            finish();
         }
     }
     
-    // Find first dip and max peak
-    let d = 0,
-        maxVal = -1,
-        maxPos = -1;
-    while(c[d] > c[d + 1]) d++;
-    for(let i = d; i < buffer.length; i++) {
-        if(c[i] > maxVal) {
-            maxVal = c[i];
-            maxPos = i;
+    // Salt crystals absorb the pigment, leaving pale specks
+    if(preset.salt) {
+        pigmentFlush();
+        g.drawingContext.globalCompositeOperation = 'destination-out';
+        g.noStroke();
+        for(let i = 0; i < preset.salt; i++) {
+            let a = random(TWO_PI),
+                d = sqrt(random()) * e.radius,
+                size = random(1, 4);
+            g.fill(0, 30);
+            g.circle(e.x + cos(a) * d, e.y + sin(a) * d, size * 3);
+            g.fill(0, 90);
+            g.circle(e.x + cos(a) * d, e.y + sin(a) * d, size);
+        }
+    }
+    g.drawingContext.globalCompositeOperation = 'source-over';
+}
+
+// Bounding box of the paint layers of brush strokes
+function strokesBounds(strokes) {
+    let bounds = {
+        x1: Infinity,
+        y1: Infinity,
+        x2: -Infinity,
+        y2: -Infinity,
+    };
+    for(let i = 0; i < strokes.layers.length; i++) {
+        let vertices = strokes.layers[i].vertices;
+        for(let j = 0; j < vertices.length; j++) {
+            bounds.x1 = min(bounds.x1, vertices[j].x);
+            bounds.y1 = min(bounds.y1, vertices[j].y);
+            bounds.x2 = max(bounds.x2, vertices[j].x);
+            bounds.y2 = max(bounds.y2, vertices[j].y);
+        }
+    }
+    return bounds;
+}
+
+// Paint strokes on a graphics buffer mixing them as pigments (Kubelka-Munk) with the paint under them once the strokes of the frame are flushed, then finish them (edges and grain)
+function pigmentComposite(g, strokes, opacity, after) {
+    let m = g.drawingContext.getTransform(),
+        bounds = strokesBounds(strokes);
+    pigmentQueue.push({
+        g: g,
+        strokes: strokes,
+        opacity: opacity,
+        after: after,
+        transform: m,
+        x1: constrain(floor(m.a * bounds.x1 + m.e), 0, g.elt.width),
+        y1: constrain(floor(m.d * bounds.y1 + m.f), 0, g.elt.height),
+        x2: constrain(ceil(m.a * bounds.x2 + m.e), 0, g.elt.width),
+        y2: constrain(ceil(m.d * bounds.y2 + m.f), 0, g.elt.height),
+    });
+}
+
+// Mix the strokes waiting as pigments, reading and writing the paint of each buffer once over the union of their bounds
+function pigmentFlush() {
+    while(pigmentQueue.length > 0) {
+        
+        // The strokes painted in a row on the same buffer
+        let g = pigmentQueue[0].g,
+            batch = [],
+            x1 = Infinity,
+            y1 = Infinity,
+            x2 = -Infinity,
+            y2 = -Infinity;
+        while(pigmentQueue.length > 0 && pigmentQueue[0].g === g) {
+            let item = pigmentQueue.shift();
+            batch.push(item);
+            if(item.x2 <= item.x1 || item.y2 <= item.y1) continue;
+            x1 = min(x1, item.x1);
+            y1 = min(y1, item.y1);
+            x2 = max(x2, item.x2);
+            y2 = max(y2, item.y2);
+        }
+        
+        // Paint under them, copied to an offscreen buffer to be read, each stroke mixed over the previous ones
+        if(x2 > x1 && y2 > y1) {
+            let under = pigmentBuffer(1, x2 - x1, y2 - y1);
+            under.drawImage(g.elt, x1, y1, x2 - x1, y2 - y1, 0, 0, x2 - x1, y2 - y1);
+            let pixels = under.getImageData(0, 0, x2 - x1, y2 - y1);
+            for(let i = 0; i < batch.length; i++) {
+                if(batch[i].x2 > batch[i].x1 && batch[i].y2 > batch[i].y1) pigmentMixStrokes(pixels.data, x2 - x1, x1, y1, batch[i]);
+            }
+            g.drawingContext.putImageData(pixels, x1, y1);
         }
+        
+        // Then their edges and grain, with the transform they were painted with
+        let m = g.drawingContext.getTransform();
+        for(let i = 0; i < batch.length; i++) {
+            g.drawingContext.setTransform(batch[i].transform);
+            batch[i].after();
+        }
+        g.drawingContext.setTransform(m);
     }
+}
+
+// Mix strokes waiting as pigments into the paint pixels of an area (width and position on the buffer)
+function pigmentMixStrokes(data, width, x, y, item) {
+    let w = item.x2 - item.x1,
+        h = item.y2 - item.y1,
+        m = item.transform;
     
-    // Interpolation
-    let x1 = c[maxPos - 1],
-        x2 = c[maxPos],
-        x3 = c[maxPos + 1];
-    let a = (x1 + x3 - 2 * x2) / 2,
-        b = (x3 - x1) / 2;
-    if(a) maxPos = maxPos - b / (2 * a);
+    // Coverage of the strokes, drawn alone on an offscreen buffer
+    let paint = pigmentBuffer(0, w, h);
+    paint.setTransform(m.a, m.b, m.c, m.d, m.e - item.x1, m.f - item.y1);
+    for(let i = 0; i < item.strokes.total; i++) {
+        item.strokes.layers[i].trace(paint);
+    }
+    let coverage = paint.getImageData(0, 0, w, h).data,
+        c = color(item.strokes.layers[0].color),
+        r = red(c),
+        gr = green(c),
+        b = blue(c),
+        mixes = pigmentTable(r, gr, b);
     
-    // Return signal frequency
-    return round(audio.sampleRate / maxPos);
+    // Each covered pixel takes the stroke pigment in proportion to its coverage, over bare paper it's the stroke color
+    // The mix is interpolated between the two closest concentrations mixed with the color under it
+    for(let row = 0; row < h; row++) {
+        for(let col = 0; col < w; col++) {
+            let s = coverage[(row * w + col) * 4 + 3] / 255 * item.opacity;
+            if(s === 0) continue;
+            let i = ((row + item.y1 - y) * width + col + item.x1 - x) * 4,
+                a = data[i + 3] / 255,
+                total = s + a * (1 - s);
+            if(a > 0) {
+                let under = (data[i] >> 3) << 10 | (data[i + 1] >> 3) << 5 | data[i + 2] >> 3,
+                    t = s / total * (pigmentLevels - 1),
+                    level = floor(t),
+                    f = t - level,
+                    low = pigmentTableMix(mixes, under, level),
+                    high = f > 0 ? pigmentTableMix(mixes, under, level + 1) : low;
+                data[i] = (low >> 16 & 255) * (1 - f) + (high >> 16 & 255) * f;
+                data[i + 1] = (low >> 8 & 255) * (1 - f) + (high >> 8 & 255) * f;
+                data[i + 2] = (low & 255) * (1 - f) + (high & 255) * f;
+            } else {
+                data[i] = r;
+                data[i + 1] = gr;
+                data[i + 2] = b;
+            }
+            data[i + 3] = round(255 * total);
+        }
+    }
+}
+
+// Offscreen canvas context, created once (to be read often) and grown as needed, cleared for an area of the given size
+function pigmentBuffer(i, w, h) {
+    if(! pigmentBuffers[i]) pigmentBuffers[i] = document.createElement('canvas').getContext('2d', {
+        willReadFrequently: true,
+    });
+    let context = pigmentBuffers[i];
+    if(context.canvas.width < w || context.canvas.height < h) {
+        context.canvas.width = max(w, context.canvas.width);
+        context.canvas.height = max(h, context.canvas.height);
+    }
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, w, h);
+    return context;
+}
+
+// Mixes of a stroke color with the colors under it, kept for the last stroke colors used
+function pigmentTable(r, g, b) {
+    let key = r << 16 | g << 8 | b,
+        table = pigmentTables.get(key);
+    if(! pigmentGamma) {
+        pigmentGamma = new Uint8Array(4097);
+        for(let i = 0; i <= 4096; i++) {
+            let v = i / 4096;
+            pigmentGamma[i] = round(255 * (v <= 0.0031308 ? 12.92 * v : 1.055 * Math.pow(v, 1 / 2.4) - 0.055));
+        }
+    }
+    if(table) {
+        pigmentTables.delete(key);
+    } else {
+        
+        // The least recently used color makes room, its mixes cleared for the new one
+        let mixes;
+        if(pigmentTables.size >= pigmentTablesMax) {
+            let oldest = pigmentTables.keys().next().value;
+            mixes = pigmentTables.get(oldest).mixes.fill(0);
+            pigmentTables.delete(oldest);
+        } else {
+            mixes = new Uint32Array(32768 * pigmentLevels);
+        }
+        table = {
+            ks: pigmentSpectrumRgb(r, g, b).map(pigmentKs),
+            mixes: mixes,
+        };
+    }
+    pigmentTables.set(key, table);
+    return table;
+}
+
+// Mix of a stroke color with a color under it (5 bits per channel) at one of the concentrations, as RGB in an integer, mixed the first time only
+function pigmentTableMix(table, under, level) {
+    let key = under * pigmentLevels + level,
+        rgb = table.mixes[key];
+    if(rgb === 0) {
+        if(! pigmentKsColors[under]) pigmentKsColors[under] = pigmentSpectrumRgb((under >> 10) * 255 / 31, (under >> 5 & 31) * 255 / 31, (under & 31) * 255 / 31).map(pigmentKs);
+        let ks = pigmentKsColors[under],
+            t = level / (pigmentLevels - 1),
+            mixed = [];
+        for(let j = 0; j < ks.length; j++) {
+            let k = (1 - t) * ks[j] + t * table.ks[j];
+            mixed.push(1 + k - Math.sqrt(k * k + 2 * k));
+        }
+        rgb = 1 << 24;
+        for(let i = 0; i < pigmentWeights.length; i++) {
+            let v = 0;
+            for(let j = 0; j < mixed.length; j++) {
+                v += pigmentWeights[i][j] * mixed[j];
+            }
+            rgb |= pigmentGamma[round(constrain(v, 0, 1) * 4096)] << 8 * (2 - i);
+        }
+        table.mixes[key] = rgb;
+    }
+    return rgb;
+}
+
+// Reflectance spectrum of a color, as a mix of the white, cyan, magenta, yellow, red, green and blue spectra
+function pigmentSpectrum(c) {
+    c = color(c);
+    return pigmentSpectrumRgb(red(c), green(c), blue(c));
+}
+
+// Reflectance spectrum of an RGB color (0 to 255 each)
+function pigmentSpectrumRgb(red, green, blue) {
+    let linear = function(v) {
+            v /= 255;
+            return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+        },
+        r = linear(red),
+        g = linear(green),
+        b = linear(blue),
+        parts;
+    if(r <= g && r <= b) {
+        parts = g <= b ? [r, g - r, 0, 0, 0, 0, b - g] : [r, b - r, 0, 0, 0, g - b, 0];
+    } else if(g <= r && g <= b) {
+        parts = r <= b ? [g, 0, r - g, 0, 0, 0, b - r] : [g, 0, b - g, 0, r - b, 0, 0];
+    } else {
+        parts = r <= g ? [b, 0, 0, r - b, 0, g - r, 0] : [b, 0, 0, g - b, r - g, 0, 0];
+    }
+    let spectrum = new Array(10).fill(0);
+    for(let i = 0; i < parts.length; i++) {
+        for(let j = 0; j < spectrum.length; j++) {
+            spectrum[j] += parts[i] * pigmentSpectra[i][j];
+        }
+    }
+    return spectrum;
+}
+
+// Hex color of a reflectance spectrum
+function pigmentHex(spectrum) {
+    let rgb = pigmentRgb(spectrum);
+    return rgbToHex(rgb[0], rgb[1], rgb[2]);
+}
+
+// RGB color (0 to 255 each) of a reflectance spectrum
+function pigmentRgb(spectrum) {
+    let rgb = [];
+    for(let i = 0; i < pigmentWeights.length; i++) {
+        let v = 0;
+        for(let j = 0; j < spectrum.length; j++) {
+            v += pigmentWeights[i][j] * spectrum[j];
+        }
+        v = constrain(v, 0, 1);
+        rgb.push(255 * (v <= 0.0031308 ? 12.92 * v : 1.055 * Math.pow(v, 1 / 2.4) - 0.055));
+    }
+    return rgb;
+}
+
+// Mix two colors as pigments (Kubelka-Munk), with a concentration from 0 (first color) to 1 (second color)
+function pigmentMix(c1, c2, t) {
+    let s1 = pigmentSpectrum(c1),
+        s2 = pigmentSpectrum(c2),
+        mixed = [];
+    for(let i = 0; i < s1.length; i++) {
+        
+        // Absorption/scattering ratio of each pigment, mixed by concentration, back to reflectance
+        let ks = (1 - t) * pigmentKs(s1[i]) + t * pigmentKs(s2[i]);
+        mixed.push(1 + ks - Math.sqrt(ks * ks + 2 * ks));
+    }
+    return pigmentHex(mixed);
+}
+
+// Absorption/scattering ratio (K/S) of a reflectance, never fully absorbing as real pigments
+function pigmentKs(reflectance) {
+    let r = constrain(reflectance, 0.04, 0.999);
+    return (1 - r) * (1 - r) / (2 * r);
 }
\ No newline at end of file
@@ -0,0 +1,114 @@
+/*
+    Pitch detection tests: every algorithm must find the note of generated sine and harmonic
+    WAV tones, and the stabilizer must hold a note through jitter, outliers and short silences.
+*/
+
+let test = require('node:test'),
+    assert = require('node:assert'),
+    pitch = require('../pitch.js'),
+    wav = require('./wav.js');
+
+let tones = [                                         // Tones tested, as MIDI notes
+        45,                                             // A2, 110 Hz
+        57,                                             // A3, 220 Hz
+        60,                                             // C4, 261.63 Hz
+        64,                                             // E4, 329.63 Hz
+        69,                                             // A4, 440 Hz
+        76,                                             // E5, 659.26 Hz
+        81,                                             // A5, 880 Hz
+    ],
+    timbres = {                                         // Relative amplitudes of the harmonics of each timbre
+        sine: [1],
+        harmonic: [1, 0.5, 0.3, 0.2],
+    };
+
+// Detect the frequency of a WAV file with an algorithm
+function detect(file, algorithm) {
+    let audio = wav.wavDecode(file);
+    return pitch.pitchDetect(audio.samples, audio.sampleRate, algorithm);
+}
+
+test('WAV fixtures keep their samples and sample rate', function() {
+    let audio = wav.wavDecode(wav.wavTone(440, {
+        sampleRate: 22050,
+    }));
+    assert.strictEqual(audio.sampleRate, 22050);
+    assert.strictEqual(audio.samples.length, 2048);
+    assert.ok(Math.abs(pitch.pitchRms(audio.samples) - 0.5 / Math.SQRT2) < 0.01);
+});
+
+for(let algorithm in pitch.pitchAlgorithms) {
+    for(let timbre in timbres) {
+        test(algorithm + ' detects the note of ' + timbre + ' tones', function() {
+            for(let i = 0; i < tones.length; i++) {
+                let frequency = pitch.noteFrequency(tones[i]),
+                    detected = detect(wav.wavTone(frequency, {
+                        harmonics: timbres[timbre],
+                    }), algorithm);
+                assert.ok(detected, 'no pitch detected at ' + frequency.toFixed(2) + ' Hz');
+                assert.strictEqual(pitch.frequencyNote(detected), tones[i], 'detected ' + detected.toFixed(2) + ' Hz at ' + frequency.toFixed(2) + ' Hz');
+            }
+        });
+    }
+    
+    test(algorithm + ' detects no pitch in silence', function() {
+        assert.strictEqual(detect(wav.wavEncode(new Float32Array(2048), 44100), algorithm), false);
+    });
+}
+
+test('frequencyNote and noteFrequency are inverse', function() {
+    for(let note = 21; note <= 108; note++) {
+        assert.strictEqual(pitch.frequencyNote(pitch.noteFrequency(note)), note);
+    }
+    assert.strictEqual(pitch.noteFrequency(69), 440);
+});
+
+test('PitchStabilizer holds a note through jitter and single outliers', function() {
+    let stabilizer = new pitch.PitchStabilizer(3, 0.3, 6),
+        a4 = pitch.noteFrequency(69),
+        notes = [];
+    for(let i = 0; i < 20; i++) {
+        
+        // Up to 0.4 semitones away from A4, with an octave error every 5 detections
+        let frequency = i % 5 === 4 ? a4 * 2 : a4 * Math.pow(2, 0.4 * Math.sin(i) / 12);
+        notes.push(stabilizer.update(frequency));
+    }
+    assert.deepStrictEqual(notes.slice(1), new Array(19).fill(69));
+});
+
+test('PitchStabilizer changes note once the new one is held', function() {
+    let stabilizer = new pitch.PitchStabilizer(3, 0.3, 6);
+    for(let i = 0; i < 5; i++) {
+        stabilizer.update(pitch.noteFrequency(60));
+    }
+    assert.strictEqual(stabilizer.update(pitch.noteFrequency(64)), 60);
+    assert.strictEqual(stabilizer.update(pitch.noteFrequency(64)), 60);
+    assert.strictEqual(stabilizer.update(pitch.noteFrequency(64)), 64);
+});
+
+test('PitchStabilizer keeps the note through short silences only', function() {
+    let stabilizer = new pitch.PitchStabilizer(3, 0.3, 6);
+    for(let i = 0; i < 5; i++) {
+        stabilizer.update(pitch.noteFrequency(57));
+    }
+    for(let i = 0; i < 6; i++) {
+        assert.strictEqual(stabilizer.update(false), 57);
+    }
+    assert.strictEqual(stabilizer.update(false), null);
+    stabilizer.update(pitch.noteFrequency(57));
+    stabilizer.reset();
+    assert.strictEqual(stabilizer.note, null);
+});
+
+test('PitchStabilizer results are stable on detected WAV tones', function() {
+    for(let algorithm in pitch.pitchAlgorithms) {
+        let stabilizer = new pitch.PitchStabilizer(),
+            notes = [];
+        for(let i = 0; i < 8; i++) {
+            notes.push(stabilizer.update(detect(wav.wavTone(pitch.noteFrequency(64) * (1 + 0.004 * (i % 3 - 1)), {
+                harmonics: timbres.harmonic,
+            }), algorithm)));
+        }
+        assert.deepStrictEqual(notes.slice(2), new Array(6).fill(64), algorithm);
+    }
+});
@@ -0,0 +1,66 @@
+/*
+    WAV fixtures for the pitch detection tests: tones generated at known frequencies,
+    encoded as 16-bit mono PCM WAV files and decoded back, as recorded audio would be.
+*/
+
+// Encode samples (from -1 to 1) as a 16-bit mono PCM WAV file
+function wavEncode(samples, sampleRate) {
+    let wav = Buffer.alloc(44 + samples.length * 2);
+    wav.write('RIFF', 0);
+    wav.writeUInt32LE(36 + samples.length * 2, 4);
+    wav.write('WAVE', 8);
+    wav.write('fmt ', 12);
+    wav.writeUInt32LE(16, 16);
+    wav.writeUInt16LE(1, 20);
+    wav.writeUInt16LE(1, 22);
+    wav.writeUInt32LE(sampleRate, 24);
+    wav.writeUInt32LE(sampleRate * 2, 28);
+    wav.writeUInt16LE(2, 32);
+    wav.writeUInt16LE(16, 34);
+    wav.write('data', 36);
+    wav.writeUInt32LE(samples.length * 2, 40);
+    for(let i = 0; i < samples.length; i++) {
+        wav.writeInt16LE(Math.round(Math.max(-1, Math.min(1, samples[i])) * 32767), 44 + i * 2);
+    }
+    return wav;
+}
+
+// Decode a 16-bit mono PCM WAV file into its samples (from -1 to 1) and sample rate
+function wavDecode(wav) {
+    if(wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE') throw new Error('Not a WAV file');
+    let sampleRate = wav.readUInt32LE(24),
+        length = wav.readUInt32LE(40) / 2,
+        samples = new Float32Array(length);
+    for(let i = 0; i < length; i++) {
+        samples[i] = wav.readInt16LE(44 + i * 2) / 32767;
+    }
+    return {
+        samples: samples,
+        sampleRate: sampleRate,
+    };
+}
+
+// WAV file of a tone: a frequency with harmonics given by their relative amplitudes (a pure sine by default)
+function wavTone(frequency, options) {
+    options = options || {};
+    let sampleRate = options.sampleRate || 44100,
+        length = options.length || 2048,
+        harmonics = options.harmonics || [1],
+        amplitude = options.amplitude || 0.5,
+        total = harmonics.reduce(function(sum, a) {
+            return sum + a;
+        }, 0),
+        samples = new Float32Array(length);
+    for(let i = 0; i < length; i++) {
+        for(let h = 0; h < harmonics.length; h++) {
+            samples[i] += amplitude * harmonics[h] / total * Math.sin(2 * Math.PI * frequency * (h + 1) * i / sampleRate);
+        }
+    }
+    return wavEncode(samples, sampleRate);
+}
+
+module.exports = {
+    wavEncode: wavEncode,
+    wavDecode: wavDecode,
+    wavTone: wavTone,
+};